@@ -0,0 +1,169 @@
+import { requireParticipantSession } from "./sessions.js";
+import { splitSentences } from "./tts.js";
+
+// Abuse protection for the OpenAI-backed routes: rate limits per participant and per IP,
+// input length limits, and a monitor that logs rejections and counts usage for the dashboard.
+
+const REJECTION_STATUSES = [400, 401, 403, 409, 413, 422, 429];
+
+function positiveInteger(value, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+// Limits per window, configurable with the RATE_LIMIT_* variables in .env.example
+export function loadAccessLimits(env = process.env) {
+    return {
+        windowMs: positiveInteger(env.RATE_LIMIT_WINDOW_MS, 60 * 60 * 1000),
+        generationPerParticipant: positiveInteger(env.RATE_LIMIT_GENERATION_PER_PARTICIPANT, 60),
+        generationPerIp: positiveInteger(env.RATE_LIMIT_GENERATION_PER_IP, 300),
+        ttsPerParticipant: positiveInteger(env.RATE_LIMIT_TTS_PER_PARTICIPANT, 1200), // Sentences, see ttsCost
+        ttsPerIp: positiveInteger(env.RATE_LIMIT_TTS_PER_IP, 6000),
+        sessionsPerIp: positiveInteger(env.RATE_LIMIT_SESSIONS_PER_IP, 60),
+        maxTTSChars: positiveInteger(env.TTS_MAX_CHARS, 4096), // Per narration; each sentence is its own speech request
+        maxDescriptionChars: positiveInteger(env.MAX_DESCRIPTION_CHARS, 8000),
+        maxQuestionChars: positiveInteger(env.MAX_QUESTION_CHARS, 500)
+    };
+}
+
+// Counts requests, TTS characters and rejections per route kind since the server started.
+// track(kind) records the outcome of every request once the response has been sent; routes
+// set res.locals.rejection to give a 4xx answer a more specific reason than its status code.
+export function createAccessMonitor() {
+    const startedAt = new Date();
+    const kinds = new Map();
+
+    function statsFor(kind) {
+        if (!kinds.has(kind)) {
+            kinds.set(kind, { requests: 0, characters: 0, rejections: {}, participants: new Map(), ips: new Map() });
+        }
+        return kinds.get(kind);
+    }
+
+    function count(map, key, characters) {
+        const entry = map.get(key) || { requests: 0, characters: 0 };
+        entry.requests++;
+        entry.characters += characters;
+        map.set(key, entry);
+    }
+
+    function track(kind) {
+        return (req, res, next) => {
+            res.on("finish", () => {
+                const stats = statsFor(kind);
+                const participantId = req.thread?.participantId || "(none)";
+
+                if (REJECTION_STATUSES.includes(res.statusCode)) {
+                    const reason = res.locals.rejection || `http_${res.statusCode}`;
+                    stats.rejections[reason] = (stats.rejections[reason] || 0) + 1;
+                    console.warn(`🚫 Rejected ${kind} request (${reason}) from ${req.ip}, Participant: ${participantId}`);
+                    return;
+                }
+
+                const characters = res.locals.characters || 0;
+                stats.requests++;
+                stats.characters += characters;
+                count(stats.participants, participantId, characters);
+                count(stats.ips, req.ip, characters);
+            });
+            next();
+        };
+    }
+
+    function top(map, limit = 10) {
+        return [...map.entries()]
+            .sort(([, a], [, b]) => b.requests - a.requests)
+            .slice(0, limit)
+            .map(([key, usage]) => ({ key, ...usage }));
+    }
+
+    function report() {
+        return {
+            startedAt,
+            kinds: Object.fromEntries([...kinds.entries()].map(([kind, stats]) => [kind, {
+                requests: stats.requests,
+                characters: stats.characters,
+                rejections: stats.rejections,
+                topParticipants: top(stats.participants),
+                topIps: top(stats.ips)
+            }]))
+        };
+    }
+
+    return { track, report };
+}
+
+// Fixed-window rate limit in memory. keyFor(req) picks what is limited (participant or IP);
+// requests without a key are not limited by this limiter. costFor(req) is how much of the limit a request uses.
+export function createRateLimiter({ name, max, windowMs, keyFor, costFor = () => 1 }) {
+    const windows = new Map();
+
+    // Drop finished windows now and then so the map doesn't grow with every IP ever seen
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, windowMs);
+    sweep.unref();
+
+    return (req, res, next) => {
+        const key = keyFor(req);
+        if (!key) return next();
+
+        const now = Date.now();
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count += costFor(req);
+
+        const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+        res.set({
+            "RateLimit-Limit": String(max),
+            "RateLimit-Remaining": String(Math.max(max - window.count, 0)),
+            "RateLimit-Reset": String(resetSeconds)
+        });
+
+        if (window.count > max) {
+            res.locals.rejection = `rate_limited_${name}`;
+            res.set("Retry-After", String(resetSeconds));
+            return res.status(429).json({ error: "Too many requests. Please wait a moment and try again." });
+        }
+
+        next();
+    };
+}
+
+// Middleware for one kind of OpenAI-backed route ("generation" or "tts"): usage tracking, the per-IP limit,
+// a registered participant session and the per-participant limit. Create it once per kind so routes share the limits.
+export function createRouteGuards({ kind, accessMonitor, perIp, perParticipant, windowMs, costFor }) {
+    return [
+        accessMonitor.track(kind),
+        createRateLimiter({ name: "ip", max: perIp, windowMs, keyFor: req => req.ip, costFor }),
+        ...requireParticipantSession,
+        createRateLimiter({ name: "participant", max: perParticipant, windowMs, keyFor: req => req.thread.participantId, costFor })
+    ];
+}
+
+// Narration makes one speech request per sentence (see lib/tts.js), so the TTS limits count sentences
+export function ttsCost(req) {
+    const text = req.body?.text;
+    return typeof text === "string" ? Math.max(splitSentences(text).length, 1) : 1;
+}
+
+// Answer 413 when a text field in the body is longer than allowed
+export function limitLength(limits) {
+    return (req, res, next) => {
+        for (const [field, max] of Object.entries(limits)) {
+            const value = req.body?.[field];
+
+            if (value !== undefined && (typeof value !== "string" || value.length > max)) {
+                res.locals.rejection = "input_too_long";
+                return res.status(413).json({ error: `"${field}" must be text of at most ${max} characters.` });
+            }
+        }
+        next();
+    };
+}
@@ -0,0 +1,44 @@
+import { createHash } from "crypto";
+import storage from "./storage/index.js";
+import { DEFAULT_LANGUAGE } from "./languages.js";
+import { promptVersionFor } from "./prompts.js";
+import { profileLabel } from "./profiles.js";
+
+// How adapted descriptions are produced for a study (generationMode in config/study.json):
+//   prewritten        - the frontend shows the catalogue's pre-written variants, nothing is generated
+//   live              - every request generates a new adaptation
+//   cached-first      - reuse a cached adaptation when there is one, otherwise generate and cache it
+//   pregenerated-only - only serve adaptations made by `npm run pregenerate`, never generate in front of a visitor
+export const GENERATION_MODES = ["prewritten", "live", "cached-first", "pregenerated-only"];
+
+export function validateGenerationMode(mode = "prewritten") {
+    if (!GENERATION_MODES.includes(mode)) {
+        throw new Error(`Unknown generationMode "${mode}". Expected one of: ${GENERATION_MODES.join(", ")}`);
+    }
+    return mode;
+}
+
+export function hashDescription(text) {
+    return createHash("sha256").update(String(text)).digest("hex");
+}
+
+// The language is part of the prompt version, so English entries cached before languages existed stay valid.
+// Blended adaptations are cached under the label of both profiles, e.g. "Explorer + Recharger".
+// versions picks the adaptation template version (see lib/prompts.js), by default the current one.
+function cacheKey({ artefact, profile, secondaryProfile, originalDescription, language, versions = {} }) {
+    return {
+        artefact,
+        profile: profileLabel(profile, secondaryProfile),
+        descriptionHash: hashDescription(originalDescription),
+        promptVersion: promptVersionFor("adaptation", language, versions.adaptation)
+    };
+}
+
+export function findCachedAdaptation(params) {
+    return storage.adaptations.find(cacheKey(params));
+}
+
+// Insert or replace the cached adaptation for this key
+export function storeAdaptation({ text, provider, model, assistantId, source = "live", fidelity, ...params }) {
+    return storage.adaptations.upsert(cacheKey(params), { text, provider, model, assistantId, source, fidelity, language: params.language || DEFAULT_LANGUAGE });
+}
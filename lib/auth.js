@@ -0,0 +1,25 @@
+import { timingSafeEqual } from "crypto";
+
+function tokensMatch(provided, expected) {
+    const a = Buffer.from(String(provided));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Protects researcher/admin routes with the shared ADMIN_TOKEN ("Authorization: Bearer <token>")
+export function requireAdmin(req, res, next) {
+    const expectedToken = process.env.ADMIN_TOKEN;
+
+    if (!expectedToken) {
+        console.error("❌ ADMIN_TOKEN is not configured. Admin routes are disabled.");
+        return res.status(503).json({ error: "Admin access is not configured on this server." });
+    }
+
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+
+    if (scheme !== "Bearer" || !token || !tokensMatch(token, expectedToken)) {
+        return res.status(401).json({ error: "Unauthorized." });
+    }
+
+    next();
+}
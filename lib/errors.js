@@ -0,0 +1,8 @@
+// Error for invalid client input, carries the HTTP status the route should answer with
+export class RequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "RequestError";
+        this.status = status;
+    }
+}
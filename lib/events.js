@@ -0,0 +1,164 @@
+import { RequestError } from "./errors.js";
+
+// Interaction events sent by the participant screen. visibility_visible marks the return after
+// visibility_hidden, so time with the tab in the background isn't counted as time on the artefact.
+export const EVENT_TYPES = [
+    "artefact_opened",
+    "narration_started",
+    "narration_paused",
+    "narration_ended",
+    "narration_seeked", // Tapped a sentence to hear it, data: { sentence } (its index)
+    "narration_speed_changed", // data: { rate }, the playback speed
+    "narration_voice_changed", // data: { voice }, "default" for the voice of the language
+    "tell_me_more",
+    "question_asked",
+    "back",
+    "visibility_hidden",
+    "visibility_visible"
+];
+
+// sendBeacon bodies are limited to about 64 KB, so batches stay well below that
+export const MAX_EVENTS_PER_BATCH = 200;
+
+const MAX_ID_LENGTH = 100;
+
+function optionalString(value, name, problems) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== "string" || value.length > MAX_ID_LENGTH) {
+        problems.push(`"${name}" must be a string of at most ${MAX_ID_LENGTH} characters.`);
+        return undefined;
+    }
+    return value;
+}
+
+// Check a batch from POST /api/events and return the events in the shape stored in the event log.
+// artefactIds are the artefacts in the participant's assignment; events about any other artefact are refused.
+export function validateEvents(events, { artefactIds = [] } = {}) {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new RequestError("\"events\" must be a non-empty array.");
+    }
+    if (events.length > MAX_EVENTS_PER_BATCH) {
+        throw new RequestError(`At most ${MAX_EVENTS_PER_BATCH} events can be sent at once.`);
+    }
+
+    const problems = [];
+    const validEvents = events.map((event, index) => {
+        const where = `Event ${index}`;
+
+        if (!event || !EVENT_TYPES.includes(event.type)) {
+            problems.push(`${where} has unknown type "${event?.type}". Expected one of: ${EVENT_TYPES.join(", ")}`);
+            return null;
+        }
+
+        const eventId = optionalString(event.eventId, `${where}: eventId`, problems);
+        if (!eventId) problems.push(`${where} needs an "eventId".`);
+
+        const artefactId = optionalString(event.artefactId, `${where}: artefactId`, problems);
+        if (event.type === "artefact_opened" && !artefactId) problems.push(`${where} needs an "artefactId".`);
+        if (artefactId && !artefactIds.includes(artefactId)) problems.push(`${where} is about an artefact that is not in the participant's assignment.`);
+
+        // The client clock orders events within a page load; a missing or invalid time falls back to the server's
+        const clientTimestamp = event.clientTimestamp ? new Date(event.clientTimestamp) : null;
+        if (clientTimestamp && isNaN(clientTimestamp.getTime())) problems.push(`${where} has an invalid "clientTimestamp".`);
+
+        return {
+            eventId,
+            type: event.type,
+            sessionId: optionalString(event.sessionId, `${where}: sessionId`, problems),
+            seq: Number.isInteger(event.seq) ? event.seq : undefined,
+            artefactId,
+            deliveryMode: ["Text-Based", "Auditory"].includes(event.deliveryMode) ? event.deliveryMode : undefined,
+            data: event.data && typeof event.data === "object" && !Array.isArray(event.data) ? event.data : undefined,
+            clientTimestamp
+        };
+    });
+
+    if (problems.length > 0) {
+        throw new RequestError(`Invalid events: ${problems.join(" ")}`);
+    }
+
+    return validEvents;
+}
+
+function eventTime(event) {
+    return new Date(event.clientTimestamp || event.serverTimestamp).getTime();
+}
+
+// Rebuild the per-artefact counters in Thread.artefactInteractions from a participant's event log.
+// Events must be sorted by time. Time on an artefact runs from artefact_opened until back, another
+// artefact_opened or visibility_hidden, and again from visibility_visible. A page load that ended
+// without a closing event can't be measured, so its open stretch is dropped.
+export function deriveInteractions(events) {
+    const interactions = new Map();
+    let open = null; // { artefactId, sessionId, since }, since is null while the page is hidden
+
+    function interactionFor(event) {
+        if (!interactions.has(event.artefactId)) {
+            interactions.set(event.artefactId, {
+                artefact: event.artefact || event.artefactId,
+                descriptionType: event.descriptionType,
+                condition: event.condition || event.descriptionType,
+                profile: event.profile,
+                timeSpentSeconds: 0,
+                tellMeMoreClicked: 0,
+                questionsAsked: 0,
+                narrationSeeks: 0,
+                deliveryMode: event.deliveryMode || "Text-Based",
+                playedAudio: "No",
+                generationMode: event.generationMode,
+                timestamp: null
+            });
+        }
+        return interactions.get(event.artefactId);
+    }
+
+    function closeOpen(time) {
+        if (open && open.since !== null) {
+            interactions.get(open.artefactId).timeSpentSeconds += Math.max(time - open.since, 0) / 1000;
+        }
+    }
+
+    for (const event of events) {
+        const time = eventTime(event);
+
+        if (open && open.sessionId !== event.sessionId) open = null;
+
+        switch (event.type) {
+            case "artefact_opened":
+                closeOpen(time);
+                interactionFor(event).entrySource ??= event.data?.source || "grid";
+                open = { artefactId: event.artefactId, sessionId: event.sessionId, since: time };
+                break;
+            case "back":
+                closeOpen(time);
+                open = null;
+                break;
+            case "visibility_hidden":
+                closeOpen(time);
+                if (open) open.since = null;
+                break;
+            case "visibility_visible":
+                if (open) open.since = time;
+                break;
+        }
+
+        const artefactId = event.artefactId || open?.artefactId;
+        if (!artefactId) continue;
+
+        const interaction = interactionFor({ ...event, artefactId });
+        if (event.type === "tell_me_more") interaction.tellMeMoreClicked += 1;
+        if (event.type === "question_asked") interaction.questionsAsked += 1;
+        if (event.type === "narration_started") interaction.playedAudio = "Yes";
+        if (event.type === "narration_seeked") interaction.narrationSeeks += 1;
+        // Narration events carry the speed and voice in use, so the last choice on the artefact is kept
+        if (event.type.startsWith("narration_") && typeof event.data?.rate === "number") interaction.narrationRate = event.data.rate;
+        if (event.type.startsWith("narration_") && typeof event.data?.voice === "string") interaction.narrationVoice = event.data.voice;
+        if (event.deliveryMode) interaction.deliveryMode = event.deliveryMode;
+        interaction.timestamp = new Date(time);
+    }
+
+    return [...interactions.values()].map(interaction => ({
+        ...interaction,
+        timeSpentSeconds: Math.floor(interaction.timeSpentSeconds)
+    }));
+}
@@ -0,0 +1,192 @@
+import { buildAdaptationPrompt, buildAdaptationRetryPrompt } from "./prompts.js";
+import { DEFAULT_LANGUAGE } from "./languages.js";
+
+// What happens when an adaptation introduces facts that aren't in the original (fidelity.mode in config/study.json):
+//   off    - adaptations are not checked
+//   flag   - the verdict is stored with the message, the adaptation is still shown
+//   reject - the adaptation is regenerated up to `retries` times, then the original description is shown instead
+export const FIDELITY_MODES = ["off", "flag", "reject"];
+
+// background is text whose facts count as supported for every artefact: what the museum takes as known
+// ("Lillehammer Museum", "Norway"), so adaptations may mention it
+export function validateFidelityConfig({ mode = "reject", retries = 1, background = "" } = {}) {
+    if (!FIDELITY_MODES.includes(mode)) {
+        throw new Error(`Unknown fidelity mode "${mode}". Expected one of: ${FIDELITY_MODES.join(", ")}`);
+    }
+    if (!Number.isInteger(retries) || retries < 0) {
+        throw new Error(`fidelity.retries must be a non-negative integer, got ${retries}`);
+    }
+    if (typeof background !== "string") {
+        throw new Error("fidelity.background must be text");
+    }
+    return { mode, retries, background };
+}
+
+const NUMBER_WORDS = {
+    two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, hundred: 100, thousand: 1000
+};
+
+const ORDINAL_WORDS = {
+    tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+    sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20
+};
+
+// Words before a proper noun that suggest it is a place
+const PLACE_PREPOSITIONS = ["in", "from", "at", "near", "to", "of"];
+
+// Descriptions in the catalogue use <br> for paragraphs
+export function toPlainText(text) {
+    return String(text).replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]+>/g, "");
+}
+
+// "Norway's", "‘Snusk’" and "Norway" are the same word
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/['’]s$/, "").replace(/^['’-]+|['’-]+$/g, "");
+}
+
+function isSentenceStart(text, index) {
+    const before = text.slice(0, index).replace(/[ \t]+$/, "");
+    return before === "" || /[.!?:\n"“”‘’'[]$/.test(before);
+}
+
+// Pull the checkable facts out of a text: years, decades, centuries, numbers, places and other proper nouns
+export function extractFacts(text) {
+    const plain = toPlainText(text);
+    const facts = [];
+    const add = (type, value) => {
+        if (!facts.some(fact => fact.type === type && fact.value === value)) facts.push({ type, value });
+    };
+
+    for (const [, year] of plain.matchAll(/\b(1\d{3}|20\d{2})\b(?!s|-tall)/g)) add("year", year);
+    for (const [, decade] of plain.matchAll(/\b(1\d{2}0|20\d0)(?:['’]?s|-tallet)\b/g)) add("decade", decade); // "1700s" or "1700-tallet"
+
+    for (const [, digits, word] of plain.matchAll(/\b(?:(\d{1,2})(?:st|nd|rd|th)|([a-z]+))[- ]century\b/gi)) {
+        const century = digits ? Number(digits) : ORDINAL_WORDS[word.toLowerCase()];
+        if (century) add("century", String(century));
+    }
+
+    // "1,500" and "1.500" group thousands, "1,5" and "1.5" are decimals
+    for (const [number] of plain.matchAll(/(?<![\d.,-])(?:\d{1,3}(?:[.,]\d{3})+|\d+(?:[.,]\d+)?)(?![\d-]|st\b|nd\b|rd\b|th\b)/g)) {
+        const value = /^\d{1,3}(?:[.,]\d{3})+$/.test(number) ? number.replace(/[.,]/g, "") : number.replace(",", ".");
+        if (!/^(1\d{3}|20\d{2})$/.test(number)) add("number", value);
+    }
+    for (const [word] of plain.matchAll(/\b[a-z]+\b/gi)) {
+        const value = NUMBER_WORDS[word.toLowerCase()];
+        if (value) add("number", String(value));
+    }
+
+    // Runs of capitalized words, e.g. "Christine Storm Munch" or "Modum"
+    for (const match of plain.matchAll(/\p{Lu}[\p{L}'’-]*(?:\s+\p{Lu}[\p{L}'’-]*)*/gu)) {
+        let words = match[0].split(/\s+/);
+
+        // Only capitals inside a sentence mark a name: every sentence starts with one ("Imagine", "Crafted"),
+        // so the first word of a sentence is left out ("Picture Christine Storm Munch" checks "Christine Storm Munch")
+        if (isSentenceStart(plain, match.index)) words = words.slice(1);
+        if (words.length === 0 || words.every(word => word.length < 2)) continue;
+
+        const previousWord = plain.slice(0, match.index).trimEnd().split(/\s+/).pop()?.toLowerCase();
+        add(PLACE_PREPOSITIONS.includes(previousWord) ? "place" : "name", words.map(normalizeWord).join(" "));
+    }
+
+    return facts;
+}
+
+// "1700s" usually means the whole century rather than 1700-1709
+function decadeSpan(decade) {
+    return decade % 100 === 0 ? 100 : 10;
+}
+
+function centuryOf(year) {
+    return Math.floor((year - 1) / 100) + 1;
+}
+
+// True if the original (or the artefact title or profile name) supports the fact
+function isSupported(fact, source) {
+    const years = [...source.years].map(Number);
+    const decades = [...source.decades].map(Number);
+
+    switch (fact.type) {
+        case "year":
+        case "number":
+            return source.numbers.has(fact.value) || source.years.has(fact.value);
+        case "decade": {
+            const decade = Number(fact.value);
+            return source.decades.has(fact.value) || years.some(year => year >= decade && year < decade + decadeSpan(decade));
+        }
+        case "century": {
+            const century = Number(fact.value);
+            return source.centuries.has(fact.value)
+                || years.some(year => centuryOf(year) === century)
+                || decades.some(decade => decade % 100 === 0 && centuryOf(decade + 1) === century);
+        }
+        default:
+            return fact.value.split(/[\s-]+/).every(word => source.words.has(word) || source.words.has(word.replace(/s$/, "")) || source.words.has(`${word}s`));
+    }
+}
+
+// The profile name and the study's background are allowed too; they are not claims about the artefact
+function describeSource(originalDescription, artefact, profile, background) {
+    const text = `${toPlainText(originalDescription)}\n${artefact || ""}\n${profile || ""}\n${background || ""}`;
+    const facts = extractFacts(text);
+    const valuesOf = type => new Set(facts.filter(fact => fact.type === type).map(fact => fact.value));
+
+    return {
+        years: valuesOf("year"),
+        numbers: valuesOf("number"),
+        decades: valuesOf("decade"),
+        centuries: valuesOf("century"),
+        words: new Set((text.match(/[\p{L}'’]+/gu) || []).map(normalizeWord)) // Hyphenated names count as their parts
+    };
+}
+
+// Compare an adapted text with the original. The verdict is "fail" when the adaptation
+// mentions years, numbers, places or names that the original doesn't contain.
+// Names are often translated (Copenhagen, København), so adaptations into another language only have their dates and numbers checked.
+export function checkFidelity(adaptedText, { originalDescription, artefact, profile, background, language = DEFAULT_LANGUAGE }) {
+    const source = describeSource(originalDescription, artefact, profile, background);
+    const unsupported = extractFacts(adaptedText)
+        .filter(fact => language === DEFAULT_LANGUAGE || !["place", "name"].includes(fact.type))
+        .filter(fact => !isSupported(fact, source));
+
+    return {
+        verdict: unsupported.length > 0 ? "fail" : "pass",
+        unsupported,
+        checkedAt: new Date()
+    };
+}
+
+// Generate an adaptation and check it against the original. In reject mode a failing adaptation is
+// regenerated with the unsupported facts pointed out, and after `retries` attempts the original is used.
+// generate(prompt, validate, attempt) must return the text and pass it to validate so the verdict is stored with it.
+// versions are the prompt template versions to use (see resolvePromptVersions in lib/prompts.js).
+export async function generateFaithfulAdaptation({ artefact, profile, secondaryProfile, originalDescription, language, versions }, { mode, retries, background }, generate) {
+    let prompt = buildAdaptationPrompt({ artefact, profile, secondaryProfile, originalDescription, language, versions });
+    const profileNames = [profile, secondaryProfile].filter(Boolean).join("\n"); // Both names of a blended profile are allowed
+
+    for (let attempt = 1; ; attempt++) {
+        let fidelity;
+        const validate = mode === "off" ? undefined : text => {
+            const check = checkFidelity(text, { originalDescription, artefact, profile: profileNames, background, language });
+            fidelity = { ...check, attempt, accepted: mode === "flag" || check.verdict === "pass" };
+            return fidelity;
+        };
+
+        const text = await generate(prompt, validate, attempt);
+
+        if (!fidelity || fidelity.accepted) {
+            return { text, fidelity, accepted: true };
+        }
+
+        const facts = fidelity.unsupported.map(fact => fact.value).join(", ");
+
+        if (attempt > retries) {
+            console.warn(`🚫 Adaptation of "${artefact}" (${profile}) rejected after ${attempt} attempts (${facts}). Using the original.`);
+            return { text: toPlainText(originalDescription), fidelity, accepted: false };
+        }
+
+        console.warn(`🔁 Adaptation of "${artefact}" (${profile}) introduced unsupported facts (${facts}). Regenerating...`);
+        prompt = buildAdaptationRetryPrompt({ artefact, profile, secondaryProfile, originalDescription, language, versions, unsupported: fidelity.unsupported });
+    }
+}
@@ -0,0 +1,67 @@
+import { RequestError } from "./errors.js";
+import { DEFAULT_LANGUAGE, resolveLanguage } from "./languages.js";
+
+function parseDate(value, name, endOfDay = false) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new RequestError(`Invalid "${name}" date. Use ISO 8601, e.g. 2025-03-01 or 2025-03-01T12:00:00Z.`);
+    }
+
+    // A plain date as the upper bound includes the whole day
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCMilliseconds(-1);
+    }
+
+    return date;
+}
+
+// Filters shared by the exports and the dashboard: ?from=&to=&profile=&condition=&language=
+export function parseFilters(query) {
+    return {
+        from: parseDate(query.from, "from"),
+        to: parseDate(query.to, "to", true),
+        profile: query.profile || null,
+        condition: query.condition || null, // Study condition id or descriptionType, e.g. Adapted, General or Original
+        language: query.language ? resolveLanguage(query.language) : null
+    };
+}
+
+// Interactions and generation failures are filtered the same way; failures have no condition
+export function entryMatches(entry, { from, to, profile, condition }) {
+    const timestamp = entry.timestamp ? new Date(entry.timestamp) : null;
+
+    if (from && (!timestamp || timestamp < from)) return false;
+    if (to && (!timestamp || timestamp > to)) return false;
+    if (profile && entry.profile !== profile) return false;
+    if (condition && entry.condition !== condition && entry.descriptionType !== condition) return false;
+    return true;
+}
+
+// The MongoDB counterpart of entryMatches, for $elemMatch and aggregation $match stages
+export function buildEntryMatch({ from, to, profile, condition }) {
+    const match = {};
+
+    if (from || to) {
+        match.timestamp = {};
+        if (from) match.timestamp.$gte = from;
+        if (to) match.timestamp.$lte = to;
+    }
+    if (profile) match.profile = profile;
+    if (condition) match.$or = [{ condition }, { descriptionType: condition }];
+
+    return match;
+}
+
+// Only load threads that can contain at least one matching entry in the given array field
+export function buildThreadQuery(filters, field = "artefactInteractions") {
+    const elemMatch = buildEntryMatch(filters);
+    const query = Object.keys(elemMatch).length > 0 ? { [field]: { $elemMatch: elemMatch } } : {};
+
+    // Threads from before the language setting existed were all in the default language
+    if (filters.language) query.language = filters.language === DEFAULT_LANGUAGE ? { $in: [filters.language, null] } : filters.language;
+
+    return query;
+}
@@ -0,0 +1,28 @@
+import { RequestError } from "./errors.js";
+
+// Languages offered on the participant screen. `promptName` is used in the generation prompts and
+// `voice` is the default OpenAI TTS voice, which can be overridden with TTS_VOICE_<CODE> (e.g. TTS_VOICE_NB).
+export const LANGUAGES = {
+    en: { name: "English", promptName: "English", voice: "nova" },
+    nb: { name: "Norsk", promptName: "Norwegian (Bokmål)", voice: "shimmer" }
+};
+
+// The catalogue's own texts (originalDescription etc.) are written in this language
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// The language of a request, defaulting to English when none was sent
+export function resolveLanguage(language) {
+    if (!language) return DEFAULT_LANGUAGE;
+
+    if (!LANGUAGES[language]) {
+        throw new RequestError(`Unknown language "${language}". Expected one of: ${LANGUAGE_CODES.join(", ")}`);
+    }
+    return language;
+}
+
+export function ttsVoiceFor(language = DEFAULT_LANGUAGE, env = process.env) {
+    const override = env[`TTS_VOICE_${language.toUpperCase()}`] || (language === DEFAULT_LANGUAGE ? env.TTS_VOICE : undefined);
+    return override || LANGUAGES[language]?.voice || LANGUAGES[DEFAULT_LANGUAGE].voice;
+}
@@ -0,0 +1,62 @@
+import fetch from "node-fetch";
+import { OPENAI_API_URL, OPENAI_HEADERS } from "../openai.js";
+import { createRunExecutor } from "./runExecutor.js";
+import { GenerationError, requestSignal, toGenerationError } from "./errors.js";
+
+const REQUEST_TIMEOUT_MS = 60000; // Creating a thread or adding a message; runs have their own deadline
+
+// Provider backed by the OpenAI Assistants API v2 (thread -> message -> run -> poll -> messages).
+// Polling, deadlines and cancellation live in lib/llm/runExecutor.js.
+export function createAssistantsProvider({ assistantId, runOptions = {} }) {
+    const runExecutor = createRunExecutor(runOptions);
+
+    async function createThread({ participantId }) {
+        const threadResponse = await fetch(`${OPENAI_API_URL}/threads`, {
+            method: "POST",
+            headers: OPENAI_HEADERS,
+            body: JSON.stringify({ metadata: { participantId } }),
+            signal: requestSignal(REQUEST_TIMEOUT_MS),
+        });
+
+        const threadData = await threadResponse.json();
+
+        if (!threadData.id) {
+            throw new GenerationError("request_failed", "Could not create assistant thread.");
+        }
+
+        return threadData.id;
+    }
+
+    async function addMessage(threadId, prompt, signal) {
+        try {
+            const messageResponse = await fetch(`${OPENAI_API_URL}/threads/${threadId}/messages`, {
+                method: "POST",
+                headers: OPENAI_HEADERS,
+                body: JSON.stringify({ role: "user", content: prompt }),
+                signal: requestSignal(REQUEST_TIMEOUT_MS, signal),
+            });
+
+            const messageData = await messageResponse.json();
+
+            if (!messageData.id) {
+                throw new GenerationError("request_failed", "Could not send prompt to assistant.");
+            }
+        } catch (error) {
+            throw toGenerationError(error, signal);
+        }
+    }
+
+    // The model is set on the assistant, so it is only known from the run (reported through onRun)
+    async function generate({ threadId, prompt, signal, onRun }) {
+        await addMessage(threadId, prompt, signal);
+        return runExecutor.execute({ threadId, assistantId, signal, onRun });
+    }
+
+    // Streams the run's message deltas through onToken and resolves with the complete text
+    async function stream({ threadId, prompt, onToken, signal, onRun }) {
+        await addMessage(threadId, prompt, signal);
+        return runExecutor.executeStream({ threadId, assistantId, signal, onToken, onRun });
+    }
+
+    return { name: "assistants", assistantId, createThread, generate, stream };
+}
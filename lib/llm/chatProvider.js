@@ -0,0 +1,81 @@
+import fetch from "node-fetch";
+import { randomUUID } from "crypto";
+import { readEventStream } from "./eventStream.js";
+import { GenerationError, requestSignal } from "./errors.js";
+
+// Provider for any OpenAI-compatible /chat/completions endpoint (OpenAI itself or a local model server)
+export function createChatProvider({ name = "chat", baseUrl, apiKey, model, systemPrompt, timeoutMs = 60000 }) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+
+    // Chat completions are stateless, so the thread only exists in our own database
+    async function createThread() {
+        return `${name}_${randomUUID()}`;
+    }
+
+    function buildMessages(prompt, history) {
+        const messages = [];
+        if (systemPrompt) messages.push({ role: "system", content: systemPrompt });
+        history.forEach(({ role, content }) => messages.push({ role, content }));
+        messages.push({ role: "user", content: prompt });
+        return messages;
+    }
+
+    async function generate({ prompt, history = [], signal }) {
+        const messages = buildMessages(prompt, history);
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: "POST",
+            headers,
+            body: JSON.stringify({ model, messages }),
+            signal: requestSignal(timeoutMs, signal),
+        });
+
+        if (!response.ok) {
+            throw new GenerationError("request_failed", `Chat completion failed: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+
+        if (!text) {
+            throw new GenerationError("no_response", "No valid response from chat model.");
+        }
+
+        return text;
+    }
+
+    // Streams the completion through onToken and resolves with the complete text. timeoutMs covers the whole stream.
+    async function stream({ prompt, history = [], onToken, signal }) {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: "POST",
+            headers,
+            body: JSON.stringify({ model, messages: buildMessages(prompt, history), stream: true }),
+            signal: requestSignal(timeoutMs, signal),
+        });
+
+        if (!response.ok) {
+            throw new GenerationError("request_failed", `Chat completion failed: ${response.status} ${response.statusText}`);
+        }
+
+        let text = "";
+
+        for await (const { data } of readEventStream(response.body)) {
+            if (data === "[DONE]") break;
+
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onToken(delta);
+            }
+        }
+
+        if (!text) {
+            throw new GenerationError("no_response", "No valid response from chat model.");
+        }
+
+        return text;
+    }
+
+    return { name, model, createThread, generate, stream };
+}
@@ -0,0 +1,47 @@
+// Why a generation failed. Stored with the thread so researchers can report failure rates per reason.
+export const FAILURE_REASONS = [
+    "timeout",           // The run's deadline or a request's timeout passed before the model answered
+    "client_aborted",    // The visitor navigated away and the request was cancelled
+    "run_failed",        // The Assistants run ended with status "failed"
+    "run_cancelled",     // The run was cancelled on the OpenAI side
+    "run_expired",       // The run expired before completing
+    "run_incomplete",    // The run stopped early, e.g. because of token limits
+    "requires_action",   // The assistant asked for a tool call, which this app doesn't support
+    "no_response",       // The model finished without returning any text
+    "request_failed",    // An HTTP request to the provider failed
+    "not_pregenerated",  // pregenerated-only mode had no cached adaptation to serve
+    "fidelity_rejected", // Every attempt introduced facts that aren't in the original (see lib/fidelity.js)
+    "unknown"
+];
+
+export class GenerationError extends Error {
+    constructor(reason, message, details = {}) {
+        super(message);
+        this.name = "GenerationError";
+        this.reason = FAILURE_REASONS.includes(reason) ? reason : "unknown";
+        this.details = details; // e.g. { runId, status, lastError }
+    }
+}
+
+// Signal for one provider request: aborted by the client's signal or after timeoutMs. node-fetch v3 has no
+// `timeout` option, so this is the only deadline a request gets.
+export function requestSignal(timeoutMs, signal) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+// Turn any thrown value into a GenerationError. signal is the client's: when it was aborted the visitor cancelled,
+// otherwise an abort came from a request's deadline (see requestSignal).
+export function toGenerationError(error, signal) {
+    if (error instanceof GenerationError) return error;
+
+    if (signal?.aborted) {
+        return new GenerationError("client_aborted", "The request was cancelled by the client.");
+    }
+
+    if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+        return new GenerationError("timeout", "The model provider did not respond in time.");
+    }
+
+    return new GenerationError("request_failed", error?.message || String(error));
+}
@@ -0,0 +1,33 @@
+// Parses a text/event-stream response body into { event, data } objects
+export async function* readEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let match;
+        while ((match = /\r?\n\r?\n/.exec(buffer)) !== null) {
+            const block = buffer.slice(0, match.index);
+            buffer = buffer.slice(match.index + match[0].length);
+
+            const parsed = parseEventBlock(block);
+            if (parsed) yield parsed;
+        }
+    }
+
+    const parsed = parseEventBlock(buffer + decoder.decode());
+    if (parsed) yield parsed;
+}
+
+function parseEventBlock(block) {
+    let event = "message";
+    const dataLines = [];
+
+    block.split(/\r?\n/).forEach(line => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+    });
+
+    return dataLines.length > 0 ? { event, data: dataLines.join("\n") } : null;
+}
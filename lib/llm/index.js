@@ -0,0 +1,44 @@
+import { createAssistantsProvider } from "./assistantsProvider.js";
+import { createChatProvider } from "./chatProvider.js";
+import { createMockProvider } from "./mockProvider.js";
+import { OPENAI_API_URL } from "../openai.js";
+
+export const LLM_PROVIDERS = ["assistants", "chat", "local", "mock"];
+
+// Picks the text generation backend from the environment (LLM_PROVIDER), defaulting to the Assistants API
+export function createLLMProvider(env = process.env) {
+    const providerName = (env.LLM_PROVIDER || "assistants").toLowerCase();
+
+    switch (providerName) {
+        case "assistants":
+            return createAssistantsProvider({
+                assistantId: env.ASSISTANT_ID,
+                runOptions: {
+                    deadlineMs: Number(env.RUN_DEADLINE_MS) || 45000,
+                    initialDelayMs: Number(env.RUN_POLL_INITIAL_MS) || 500,
+                    maxDelayMs: Number(env.RUN_POLL_MAX_MS) || 4000,
+                },
+            });
+        case "chat":
+            return createChatProvider({
+                name: "chat",
+                baseUrl: OPENAI_API_URL,
+                apiKey: env.OPENAI_API_KEY,
+                model: env.OPENAI_MODEL || "gpt-4o-mini",
+                systemPrompt: env.LLM_SYSTEM_PROMPT,
+            });
+        case "local":
+            return createChatProvider({
+                name: "local",
+                baseUrl: env.LOCAL_LLM_URL || "http://localhost:11434/v1",
+                apiKey: env.LOCAL_LLM_API_KEY,
+                model: env.LOCAL_LLM_MODEL || "llama3.1",
+                systemPrompt: env.LLM_SYSTEM_PROMPT,
+                timeoutMs: 120000,
+            });
+        case "mock":
+            return createMockProvider({ delayMs: Number(env.MOCK_LLM_DELAY_MS) || 0 });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${providerName}". Expected one of: ${LLM_PROVIDERS.join(", ")}`);
+    }
+}
@@ -0,0 +1,51 @@
+import { createHash } from "crypto";
+
+// Deterministic offline provider for kiosks without network access and for testing.
+// The same input always produces the same output, so no API key is needed.
+export function createMockProvider({ delayMs = 0, tokenDelayMs = 20 } = {}) {
+    async function createThread({ participantId }) {
+        const digest = createHash("sha256").update(String(participantId)).digest("hex").slice(0, 16);
+        return `mock_${digest}`;
+    }
+
+    async function generate({ prompt, context = {} }) {
+        if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+        const { kind, artefact, profile, originalDescription, question } = context;
+
+        if (kind === "description" && originalDescription) {
+            return `[Mock adaptation for the ${profile} profile] ${originalDescription}`;
+        }
+
+        if (kind === "more-info") {
+            return `[Mock additional information about "${artefact}" for the ${profile} profile] There is no further information available in offline mode.`;
+        }
+
+        if (kind === "question") {
+            return `[Mock answer to "${question}" about "${artefact}" for the ${profile} profile] The description has no more details on this in offline mode.`;
+        }
+
+        const digest = createHash("sha256").update(prompt).digest("hex").slice(0, 8);
+        return `[Mock response ${digest}]`;
+    }
+
+    // Emits the same text as generate() word by word
+    async function stream({ onToken, signal, ...params }) {
+        const text = await generate(params);
+
+        for (const token of text.split(/(?<=\s)/)) {
+            if (signal?.aborted) {
+                const error = new Error("The operation was aborted.");
+                error.name = "AbortError";
+                throw error;
+            }
+
+            onToken(token);
+            if (tokenDelayMs > 0) await new Promise(resolve => setTimeout(resolve, tokenDelayMs));
+        }
+
+        return text;
+    }
+
+    return { name: "mock", model: "mock", createThread, generate, stream };
+}
@@ -0,0 +1,186 @@
+import fetch from "node-fetch";
+import { OPENAI_API_URL, OPENAI_HEADERS } from "../openai.js";
+import { readEventStream } from "./eventStream.js";
+import { GenerationError, toGenerationError } from "./errors.js";
+
+// Run statuses that end a run without an answer, mapped to failure reasons
+const FAILED_RUN_STATUSES = {
+    failed: "run_failed",
+    cancelled: "run_cancelled",
+    expired: "run_expired",
+    incomplete: "run_incomplete",
+    requires_action: "requires_action"
+};
+
+// Reasons where the run may still be going on OpenAI's side and should be cancelled
+const CANCEL_ON = ["client_aborted", "timeout", "requires_action"];
+
+function sleep(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+
+        const timer = setTimeout(() => {
+            signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, delayMs);
+
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+
+        signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+async function requestJSON(url, { signal, ...options } = {}) {
+    const response = await fetch(url, { headers: OPENAI_HEADERS, signal, ...options });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new GenerationError("request_failed", data.error?.message || `${response.status} ${response.statusText}`);
+    }
+
+    return data;
+}
+
+// Executes Assistants runs with exponential backoff polling, an overall deadline and
+// cancellation of the OpenAI run when the client aborts. Failures are GenerationErrors with a reason.
+export function createRunExecutor({ deadlineMs = 45000, initialDelayMs = 500, maxDelayMs = 4000, backoffFactor = 1.5 } = {}) {
+    async function cancelRun(threadId, runId) {
+        try {
+            await fetch(`${OPENAI_API_URL}/threads/${threadId}/runs/${runId}/cancel`, {
+                method: "POST",
+                headers: OPENAI_HEADERS,
+                signal: AbortSignal.timeout(10000), // The run's deadline may already have passed
+            });
+            console.log(`🛑 Cancelled run ${runId}`);
+        } catch (error) {
+            console.error(`⚠️ Could not cancel run ${runId}:`, error.message);
+        }
+    }
+
+    // Combines the client's signal with the deadline, and classifies whatever went wrong
+    async function withDeadline(threadId, clientSignal, work) {
+        const deadlineSignal = AbortSignal.timeout(deadlineMs);
+        const signal = clientSignal ? AbortSignal.any([clientSignal, deadlineSignal]) : deadlineSignal;
+        const run = { id: null };
+
+        try {
+            return await work(signal, run);
+        } catch (error) {
+            const failure = deadlineSignal.aborted && !clientSignal?.aborted
+                ? new GenerationError("timeout", `Assistant did not respond within ${deadlineMs / 1000} seconds.`)
+                : toGenerationError(error, clientSignal);
+
+            failure.details = { ...failure.details, runId: run.id };
+
+            if (run.id && CANCEL_ON.includes(failure.reason)) {
+                await cancelRun(threadId, run.id);
+            }
+
+            throw failure;
+        }
+    }
+
+    async function fetchReply(threadId, runId, signal) {
+        const messagesData = await requestJSON(`${OPENAI_API_URL}/threads/${threadId}/messages?run_id=${runId}`, { signal });
+        const assistantMessage = messagesData.data?.find(msg => msg.role === "assistant");
+        const text = assistantMessage?.content?.map(part => part.text?.value || "").join("");
+
+        if (!text) {
+            throw new GenerationError("no_response", "No valid response from Assistant.", { runId });
+        }
+
+        return text;
+    }
+
+    // Start a run and poll it until it finishes. onRun({ id, model }) is called once the run has started.
+    function execute({ threadId, assistantId, signal: clientSignal, onRun }) {
+        return withDeadline(threadId, clientSignal, async (signal, run) => {
+            console.log("▶️ Running Assistant...");
+            const runData = await requestJSON(`${OPENAI_API_URL}/threads/${threadId}/runs`, {
+                method: "POST",
+                body: JSON.stringify({ assistant_id: assistantId }),
+                signal,
+            });
+
+            run.id = runData.id;
+            onRun?.({ id: run.id, model: runData.model });
+            console.log(`✅ Run started. Run ID: ${run.id}`);
+
+            let status = runData.status;
+            let delay = initialDelayMs;
+            let attempt = 0;
+
+            while (status !== "completed") {
+                if (FAILED_RUN_STATUSES[status]) {
+                    throw new GenerationError(FAILED_RUN_STATUSES[status], `Assistant run ended with status "${status}".`, { status });
+                }
+
+                await sleep(delay, signal);
+                delay = Math.min(delay * backoffFactor, maxDelayMs);
+                attempt++;
+
+                const checkRunData = await requestJSON(`${OPENAI_API_URL}/threads/${threadId}/runs/${run.id}`, { signal });
+                status = checkRunData.status;
+                console.log(`⏳ Assistant Status: ${status} (check ${attempt})`);
+
+                if (FAILED_RUN_STATUSES[status]) {
+                    console.error("❌ Assistant Run Failed:", checkRunData.last_error || checkRunData.incomplete_details || status);
+                }
+            }
+
+            console.log("📩 Fetching Assistant's Response...");
+            return fetchReply(threadId, run.id, signal);
+        });
+    }
+
+    // Start a streamed run, passing message deltas to onToken
+    function executeStream({ threadId, assistantId, signal: clientSignal, onToken, onRun }) {
+        return withDeadline(threadId, clientSignal, async (signal, run) => {
+            console.log("▶️ Running Assistant (streaming)...");
+            const runResponse = await fetch(`${OPENAI_API_URL}/threads/${threadId}/runs`, {
+                method: "POST",
+                headers: OPENAI_HEADERS,
+                body: JSON.stringify({ assistant_id: assistantId, stream: true }),
+                signal,
+            });
+
+            if (!runResponse.ok) {
+                throw new GenerationError("request_failed", `Assistant could not start processing: ${runResponse.status} ${runResponse.statusText}`);
+            }
+
+            let text = "";
+
+            for await (const { event, data } of readEventStream(runResponse.body)) {
+                if (event === "thread.run.created") {
+                    const runData = JSON.parse(data);
+                    run.id = runData.id;
+                    onRun?.({ id: run.id, model: runData.model });
+                } else if (event === "thread.message.delta") {
+                    const delta = JSON.parse(data).delta?.content?.map(part => part.text?.value || "").join("") || "";
+                    if (delta) {
+                        text += delta;
+                        onToken(delta);
+                    }
+                } else if (event.startsWith("thread.run.") && FAILED_RUN_STATUSES[event.slice("thread.run.".length)]) {
+                    const status = event.slice("thread.run.".length);
+                    throw new GenerationError(FAILED_RUN_STATUSES[status], `Assistant run ended with status "${status}".`, { status });
+                } else if (event === "error") {
+                    throw new GenerationError("request_failed", `Assistant stream error: ${data}`);
+                } else if (event === "thread.run.completed") {
+                    break;
+                }
+            }
+
+            if (!text) {
+                throw new GenerationError("no_response", "No valid response from Assistant.");
+            }
+
+            return text;
+        });
+    }
+
+    return { execute, executeStream, cancelRun };
+}
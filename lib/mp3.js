@@ -0,0 +1,69 @@
+// Just enough of the MP3 format to join narration synthesized sentence by sentence and know where each
+// sentence starts: MPEG Layer III frame headers give every frame's length and number of samples.
+
+const BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG-1, kbit/s
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160] // MPEG-2 and 2.5
+};
+const SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000]
+};
+const VERSIONS = { 0: 2.5, 2: 2, 3: 1 }; // Version bits, 1 is reserved
+
+// The Layer III frame starting at offset, or null when there is none
+function readFrameHeader(buffer, offset) {
+    if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+    const version = VERSIONS[(buffer[offset + 1] >> 3) & 3];
+    const layer = (buffer[offset + 1] >> 1) & 3;
+    const bitrate = BITRATES[version === 1 ? 1 : 2][buffer[offset + 2] >> 4];
+    const sampleRate = SAMPLE_RATES[version]?.[(buffer[offset + 2] >> 2) & 3];
+    const padding = (buffer[offset + 2] >> 1) & 1;
+
+    if (!version || layer !== 1 || !bitrate || !sampleRate) return null;
+
+    const samples = version === 1 ? 1152 : 576;
+    return { length: Math.floor(samples / 8 * bitrate * 1000 / sampleRate) + padding, samples, sampleRate };
+}
+
+// Size of an ID3v2 tag at the start of the file
+function id3Length(buffer) {
+    if (buffer.length < 10 || buffer.toString("latin1", 0, 3) !== "ID3") return 0;
+
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    return 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+}
+
+// A Xing, Info or VBRI frame describes the whole file, so it can't stay in the middle of joined audio
+function isInfoFrame(frame) {
+    const text = frame.toString("latin1", 4, Math.min(frame.length, 64));
+    return /Xing|Info|VBRI/.test(text);
+}
+
+// The audio frames without tags or info frame, and their duration in seconds
+export function readMP3(buffer) {
+    const frames = [];
+    let duration = 0;
+    const start = id3Length(buffer);
+    let offset = start;
+
+    while (offset < buffer.length) {
+        const header = readFrameHeader(buffer, offset);
+        if (!header) break; // Trailing ID3v1 tag or padding
+
+        const frame = buffer.subarray(offset, offset + header.length);
+        if (offset !== start || !isInfoFrame(frame)) {
+            frames.push(frame);
+            duration += header.samples / header.sampleRate;
+        }
+        offset += header.length;
+    }
+
+    if (frames.length === 0) {
+        throw new Error("The narration audio contains no MP3 frames.");
+    }
+
+    return { audio: Buffer.concat(frames), duration };
+}
@@ -0,0 +1,8 @@
+// Shared settings for talking to the OpenAI REST API
+export const OPENAI_API_URL = "https://api.openai.com/v1";
+
+export const OPENAI_HEADERS = {
+    "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`,
+    "Content-Type": "application/json",
+    "OpenAI-Beta": "assistants=v2"  // Required for Assistants API v2
+};
@@ -0,0 +1,7 @@
+// The five visitor profiles used by the profiling quiz and the pre-written description variants
+export const VISITOR_PROFILES = ["Explorer", "Facilitator", "Professional/Hobbyist", "Experience Seeker", "Recharger"];
+
+// How a blended profile (see lib/quiz.js) is named in logs and the adaptation cache, strongest first
+export function profileLabel(profile, secondaryProfile) {
+    return secondaryProfile ? `${profile} + ${secondaryProfile}` : profile;
+}
@@ -0,0 +1,148 @@
+import fs from "fs";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "./languages.js";
+
+// Prompt wording for the generation routes, as named templates with numbered versions in config/prompts.json
+// (or PROMPTS_CONFIG). Add a version instead of editing one, so every stored message still names the wording
+// it was sent with; "current" is the version used unless the study or a condition asks for another.
+export const PROMPT_TEMPLATE_IDS = ["adaptation", "adaptationRetry", "moreInfo", "question"];
+
+// What templates can refer to as {{name}}
+const TEMPLATE_VARIABLES = [
+    "artefact",
+    "profile",
+    "secondaryProfile",
+    "visitor", // "with the "Explorer" profile", or both profiles in blended quiz mode
+    "description", // The original description, or for moreInfo the one the visitor has already seen
+    "question",
+    "language", // Prompt name of the language, e.g. "Norwegian (Bokmål)"
+    "languageInstruction", // Empty for English, otherwise asks for the answer in that language
+    "adaptationPrompt", // adaptationRetry only: the rejected attempt's prompt
+    "unsupportedFacts" // adaptationRetry only: the facts the fidelity check didn't find in the description
+];
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+let templates = null;
+
+function validatePromptTemplates(config) {
+    for (const templateId of PROMPT_TEMPLATE_IDS) {
+        const template = config[templateId];
+        if (!template?.versions || Object.keys(template.versions).length === 0) {
+            throw new Error(`Prompt template "${templateId}" needs at least one version.`);
+        }
+        if (!template.versions[template.current]) {
+            throw new Error(`Prompt template "${templateId}" has no version "${template.current}" to use as current.`);
+        }
+
+        for (const [version, text] of Object.entries(template.versions)) {
+            if (typeof text !== "string" || !text.trim()) {
+                throw new Error(`Prompt template "${templateId}" version "${version}" must be a non-empty string.`);
+            }
+            for (const [, name] of text.matchAll(PLACEHOLDER)) {
+                if (!TEMPLATE_VARIABLES.includes(name)) {
+                    throw new Error(`Prompt template "${templateId}" version "${version}" uses the unknown variable {{${name}}}. Expected one of: ${TEMPLATE_VARIABLES.join(", ")}`);
+                }
+            }
+        }
+    }
+
+    const unknown = Object.keys(config).filter(templateId => !PROMPT_TEMPLATE_IDS.includes(templateId));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown prompt template "${unknown[0]}". Expected: ${PROMPT_TEMPLATE_IDS.join(", ")}`);
+    }
+
+    return config;
+}
+
+// Must be called once before any prompt is built (server.js and the scripts do this at startup)
+export function loadPromptTemplates(file) {
+    templates = validatePromptTemplates(JSON.parse(fs.readFileSync(file, "utf8")));
+    return templates;
+}
+
+function requireTemplates() {
+    if (!templates) throw new Error("Prompt templates are not loaded. Call loadPromptTemplates() first.");
+    return templates;
+}
+
+// The version of every template to use, given overrides like { "adaptation": "2" } from config/study.json
+// or a study condition. Unknown templates or versions throw, so a typo fails at startup.
+export function resolvePromptVersions(overrides = {}) {
+    const config = requireTemplates();
+
+    for (const [templateId, version] of Object.entries(overrides).filter(([, version]) => version)) {
+        if (!config[templateId]) {
+            throw new Error(`Unknown prompt template "${templateId}". Expected one of: ${PROMPT_TEMPLATE_IDS.join(", ")}`);
+        }
+        if (!config[templateId].versions[version]) {
+            throw new Error(`Prompt template "${templateId}" has no version "${version}". Available: ${Object.keys(config[templateId].versions).join(", ")}`);
+        }
+    }
+
+    return Object.fromEntries(PROMPT_TEMPLATE_IDS.map(templateId => [templateId, String(overrides[templateId] || config[templateId].current)]));
+}
+
+// Cached adaptations are keyed by this. Prompts in another language than the default get a suffix, e.g. "1-nb".
+export function promptVersionFor(templateId, language = DEFAULT_LANGUAGE, version = requireTemplates()[templateId].current) {
+    return language === DEFAULT_LANGUAGE ? version : `${version}-${language}`;
+}
+
+// The English prompts are unchanged; other languages ask for the answer in that language
+function languageInstruction(language = DEFAULT_LANGUAGE) {
+    return language === DEFAULT_LANGUAGE ? "" : `\n\nWrite your answer in ${LANGUAGES[language].promptName}.`;
+}
+
+// In blended quiz mode the visitor also has a second, weaker profile (see lib/quiz.js). The single-profile wording is unchanged.
+function describeVisitor(profile, secondaryProfile) {
+    return secondaryProfile
+        ? `whose profile is mainly "${profile}", with traits of the "${secondaryProfile}" profile,`
+        : `with the "${profile}" profile`;
+}
+
+// Fill in a template version. The result names the template and version, which are stored with the messages.
+function renderPrompt(templateId, version = requireTemplates()[templateId].current, variables) {
+    const template = requireTemplates()[templateId].versions[version];
+    if (!template) {
+        throw new Error(`Prompt template "${templateId}" has no version "${version}".`);
+    }
+
+    const values = {
+        ...variables,
+        visitor: describeVisitor(variables.profile, variables.secondaryProfile),
+        language: LANGUAGES[variables.language || DEFAULT_LANGUAGE].promptName,
+        languageInstruction: languageInstruction(variables.language)
+    };
+
+    return {
+        text: template.replace(PLACEHOLDER, (_, name) => values[name] ?? ""),
+        templateId,
+        version
+    };
+}
+
+// versions: from resolvePromptVersions(); templates without one use their current version
+export function buildAdaptationPrompt({ artefact, profile, secondaryProfile, originalDescription, language, versions = {} }) {
+    return renderPrompt("adaptation", versions.adaptation, { artefact, profile, secondaryProfile, description: originalDescription, language });
+}
+
+// Used when an adaptation was rejected by the fidelity check (see lib/fidelity.js)
+export function buildAdaptationRetryPrompt({ artefact, profile, secondaryProfile, originalDescription, language, unsupported, versions = {} }) {
+    return renderPrompt("adaptationRetry", versions.adaptationRetry, {
+        artefact,
+        profile,
+        secondaryProfile,
+        description: originalDescription,
+        language,
+        adaptationPrompt: buildAdaptationPrompt({ artefact, profile, secondaryProfile, originalDescription, language, versions }).text,
+        unsupportedFacts: unsupported.map(fact => `"${fact.value}"`).join(", ")
+    });
+}
+
+// A visitor's own question about the artefact, answered from the catalogue text rather than from memory
+export function buildQuestionPrompt({ artefact, profile, secondaryProfile, originalDescription, question, language, versions = {} }) {
+    return renderPrompt("question", versions.question, { artefact, profile, secondaryProfile, description: originalDescription, question, language });
+}
+
+export function buildMoreInfoPrompt({ artefact, profile, currentDescription, language, versions = {} }) {
+    return renderPrompt("moreInfo", versions.moreInfo, { artefact, profile, description: currentDescription, language });
+}
@@ -0,0 +1,144 @@
+import QRCode from "qrcode";
+
+// Printable sheets of QR codes that open an artefact on the participant screen (/artefact/:artefactId).
+// The codes carry ?source=qr so scans are logged as their own entry source (see lib/events.js).
+
+const MM = 72 / 25.4; // PDF points per millimetre
+const PAGE = { width: 210, height: 297 }; // A4, in millimetres
+const MARGIN = 15;
+const COLUMNS = 2;
+const ROWS = 3; // Per PDF page
+const CELL = { width: (PAGE.width - 2 * MARGIN) / COLUMNS, height: (PAGE.height - 2 * MARGIN) / ROWS };
+const CODE_SIZE = 60; // Side of a QR code including its quiet zone, in millimetres
+const QUIET_ZONE = 4; // Modules of white space around the code, as the QR specification asks for
+
+export const QR_SHEET_FORMATS = ["svg", "pdf"];
+
+export function artefactLink(baseUrl, artefactId) {
+    return `${baseUrl.replace(/\/+$/, "")}/artefact/${encodeURIComponent(artefactId)}?source=qr`;
+}
+
+// The dark modules of the code as [row, column] pairs, with the module size that fills CODE_SIZE
+function qrModules(url) {
+    const { modules } = QRCode.create(url, { errorCorrectionLevel: "M" });
+    const dark = [];
+
+    for (let row = 0; row < modules.size; row++) {
+        for (let column = 0; column < modules.size; column++) {
+            if (modules.get(row, column)) dark.push([row + QUIET_ZONE, column + QUIET_ZONE]);
+        }
+    }
+
+    return { dark, moduleSize: CODE_SIZE / (modules.size + 2 * QUIET_ZONE) };
+}
+
+// Where the code and its labels go in the cell at index, in millimetres from the top left of the page
+function cellLayout(index, rowsPerPage = ROWS) {
+    const column = index % COLUMNS;
+    const row = Math.floor(index / COLUMNS) % rowsPerPage;
+    const left = MARGIN + column * CELL.width;
+    const top = MARGIN + row * CELL.height;
+
+    return {
+        codeX: left + (CELL.width - CODE_SIZE) / 2,
+        codeY: top + 8,
+        centerX: left + CELL.width / 2,
+        titleY: top + 8 + CODE_SIZE + 8,
+        urlY: top + 8 + CODE_SIZE + 14
+    };
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+// One A4-wide SVG with every code, as tall as the catalogue needs. entries: [{ title, url }]
+export function renderQRSheetSVG(entries) {
+    const height = Math.max(Math.ceil(entries.length / COLUMNS), 1) * CELL.height + 2 * MARGIN;
+    const cells = entries.map((entry, index) => {
+        const layout = cellLayout(index, Infinity); // One long page
+        const { dark, moduleSize } = qrModules(entry.url);
+        const path = dark.map(([row, column]) => `M${column} ${row}h1v1h-1z`).join("");
+
+        return `
+  <g>
+    <g transform="translate(${layout.codeX.toFixed(2)} ${layout.codeY.toFixed(2)}) scale(${moduleSize.toFixed(4)})"><path d="${path}" fill="#000"/></g>
+    <text x="${layout.centerX.toFixed(2)}" y="${layout.titleY.toFixed(2)}" font-family="Arial, sans-serif" font-size="5" text-anchor="middle">${escapeXML(entry.title)}</text>
+    <text x="${layout.centerX.toFixed(2)}" y="${layout.urlY.toFixed(2)}" font-family="Arial, sans-serif" font-size="3" text-anchor="middle" fill="#555">${escapeXML(entry.url)}</text>
+  </g>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.width}mm" height="${height}mm" viewBox="0 0 ${PAGE.width} ${height}">
+  <rect width="100%" height="100%" fill="#fff"/>${cells.join("")}
+</svg>
+`;
+}
+
+// PDF strings in the standard Helvetica font use WinAnsiEncoding, which matches Latin-1 for æ, ø, å and the like
+function pdfText(text) {
+    return String(text)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+        .replace(/[\\()]/g, character => `\\${character}`);
+}
+
+// Helvetica is a standard PDF font, so nothing is embedded and the width is estimated for centring
+function centredText(text, centerX, y, size) {
+    const width = String(text).length * size * 0.5;
+    return `BT /F1 ${size} Tf ${(centerX * MM - width / 2).toFixed(2)} ${((PAGE.height - y) * MM).toFixed(2)} Td (${pdfText(text)}) Tj ET`;
+}
+
+// A4 pages with six codes each, drawn as filled squares. entries: [{ title, url }]
+export function renderQRSheetPDF(entries) {
+    const pages = [];
+
+    for (let start = 0; start < Math.max(entries.length, 1); start += COLUMNS * ROWS) {
+        const operations = entries.slice(start, start + COLUMNS * ROWS).flatMap((entry, offset) => {
+            const layout = cellLayout(start + offset);
+            const { dark, moduleSize } = qrModules(entry.url);
+            const size = (moduleSize * MM).toFixed(3);
+
+            return [
+                "0 g",
+                ...dark.map(([row, column]) => {
+                    const x = (layout.codeX + column * moduleSize) * MM;
+                    const y = (PAGE.height - layout.codeY - (row + 1) * moduleSize) * MM;
+                    return `${x.toFixed(3)} ${y.toFixed(3)} ${size} ${size} re`;
+                }),
+                "f",
+                centredText(entry.title, layout.centerX, layout.titleY, 14),
+                "0.33 g",
+                centredText(entry.url, layout.centerX, layout.urlY, 8)
+            ];
+        });
+
+        pages.push(operations.join("\n"));
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3 font, then a page and its content stream per page
+    const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        `<< /Type /Pages /Kids [${pages.map((_, index) => `${4 + index * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+    ];
+
+    pages.forEach((content, index) => {
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${(PAGE.width * MM).toFixed(2)} ${(PAGE.height * MM).toFixed(2)}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + index * 2} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`
+        );
+    });
+
+    let pdf = "%PDF-1.4\n";
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, "latin1");
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = Buffer.byteLength(pdf, "latin1");
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("")}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, "latin1");
+}
@@ -0,0 +1,153 @@
+import fs from "fs";
+import { RequestError } from "./errors.js";
+
+// likert: agreement statements on one scale; differential: bipolar word pairs (UEQ-style);
+// artefact-rating: the items are asked once per assigned artefact; free-text: open answers
+export const INSTRUMENT_TYPES = ["likert", "differential", "artefact-rating", "free-text"];
+
+const DEFAULT_MAX_LENGTH = 2000;
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Texts are either plain strings or objects keyed by language code ({ "en": ..., "nb": ... })
+export function isText(value) {
+    return typeof value === "string" || (value !== null && typeof value === "object" && Object.values(value).every(text => typeof text === "string"));
+}
+
+function validateScale(scale, where) {
+    if (!scale || !Number.isInteger(scale.min) || !Number.isInteger(scale.max) || scale.min >= scale.max) {
+        throw new Error(`${where} needs a "scale" with integer "min" below "max".`);
+    }
+}
+
+// Checked once at startup so a broken questionnaire file stops the server instead of reaching participants
+export function validateQuestionnaire(definition) {
+    if (!definition || !definition.id || !Array.isArray(definition.instruments) || definition.instruments.length === 0) {
+        throw new Error("The questionnaire needs an \"id\" and at least one instrument.");
+    }
+
+    const instrumentIds = new Set();
+    for (const instrument of definition.instruments) {
+        const where = `Questionnaire instrument "${instrument.id}"`;
+
+        if (!ID_PATTERN.test(instrument.id || "") || instrumentIds.has(instrument.id)) {
+            throw new Error(`${where} needs a unique id of lowercase letters, digits and dashes.`);
+        }
+        instrumentIds.add(instrument.id);
+
+        if (!INSTRUMENT_TYPES.includes(instrument.type)) {
+            throw new Error(`${where} has unknown type "${instrument.type}". Expected one of: ${INSTRUMENT_TYPES.join(", ")}`);
+        }
+        if (instrument.type !== "free-text") validateScale(instrument.scale, where);
+
+        if (!Array.isArray(instrument.items) || instrument.items.length === 0) {
+            throw new Error(`${where} needs at least one item.`);
+        }
+
+        const itemIds = new Set();
+        for (const item of instrument.items) {
+            if (!ID_PATTERN.test(item.id || "") || itemIds.has(item.id)) {
+                throw new Error(`${where} has an item without a unique id.`);
+            }
+            itemIds.add(item.id);
+
+            const hasText = instrument.type === "differential" ? isText(item.left) && isText(item.right) : isText(item.text);
+            if (!hasText) {
+                throw new Error(`${where}, item "${item.id}" is missing its ${instrument.type === "differential" ? "\"left\" and \"right\" words" : "\"text\""}.`);
+            }
+        }
+    }
+
+    return definition;
+}
+
+// The questionnaire file is optional; without it the app skips the questionnaire
+export function loadQuestionnaire(file) {
+    let definition;
+    try {
+        definition = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+
+    return validateQuestionnaire(definition);
+}
+
+// Scale items must be answered unless marked "required": false; free-text items are optional unless marked required
+function isRequired(instrument, item) {
+    return item.required ?? instrument.type !== "free-text";
+}
+
+// Check submitted answers against the definition and return them in the shape stored on the thread.
+// Artefact ratings are expected for every artefact in the participant's assignment.
+export function validateResponses(definition, answers, { artefactIds = [] } = {}) {
+    if (!Array.isArray(answers)) {
+        throw new RequestError("\"answers\" must be an array.");
+    }
+
+    const problems = [];
+    const byKey = new Map();
+
+    for (const answer of answers) {
+        const instrument = definition.instruments.find(entry => entry.id === answer?.instrument);
+        const item = instrument?.items.find(entry => entry.id === answer.item);
+
+        if (!item) {
+            problems.push(`Unknown item "${answer?.instrument}/${answer?.item}".`);
+            continue;
+        }
+
+        const artefactId = instrument.type === "artefact-rating" ? answer.artefactId : undefined;
+        const key = `${instrument.id}/${item.id}${artefactId ? `/${artefactId}` : ""}`;
+
+        if (instrument.type === "artefact-rating" && !artefactIds.includes(artefactId)) {
+            problems.push(`"${key}" must name one of the participant's assigned artefacts.`);
+            continue;
+        }
+        if (byKey.has(key)) {
+            problems.push(`"${key}" was answered more than once.`);
+            continue;
+        }
+
+        if (instrument.type === "free-text") {
+            const text = typeof answer.text === "string" ? answer.text.trim() : "";
+            const maxLength = item.maxLength || DEFAULT_MAX_LENGTH;
+
+            if (answer.text !== undefined && typeof answer.text !== "string") {
+                problems.push(`"${key}" must be text.`);
+            } else if (text.length > maxLength) {
+                problems.push(`"${key}" is longer than ${maxLength} characters.`);
+            } else if (text) {
+                byKey.set(key, { instrument: instrument.id, item: item.id, text });
+            }
+            continue;
+        }
+
+        const { min, max } = instrument.scale;
+        if (!Number.isInteger(answer.score) || answer.score < min || answer.score > max) {
+            problems.push(`"${key}" must be a whole number from ${min} to ${max}.`);
+            continue;
+        }
+        byKey.set(key, { instrument: instrument.id, item: item.id, artefactId, score: answer.score });
+    }
+
+    for (const instrument of definition.instruments) {
+        for (const item of instrument.items) {
+            if (!isRequired(instrument, item)) continue;
+
+            const keys = instrument.type === "artefact-rating"
+                ? artefactIds.map(artefactId => `${instrument.id}/${item.id}/${artefactId}`)
+                : [`${instrument.id}/${item.id}`];
+
+            for (const key of keys) {
+                if (!byKey.has(key)) problems.push(`"${key}" is required.`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new RequestError(`Invalid questionnaire answers: ${problems.join(" ")}`);
+    }
+
+    return [...byKey.values()];
+}
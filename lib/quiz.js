@@ -0,0 +1,163 @@
+import fs from "fs";
+import { randomInt } from "crypto";
+import { RequestError } from "./errors.js";
+import { isText } from "./questionnaire.js";
+import { VISITOR_PROFILES } from "./profiles.js";
+
+// single: the visitor gets the highest-scoring profile; blended: the two highest, strongest first,
+// and adaptations are written for the combination (see buildAdaptationPrompt in lib/prompts.js)
+export const QUIZ_MODES = ["single", "blended"];
+
+// How a tie for one of those places is settled:
+//   question - the visitor answers the tie-break question, with only the tied profiles' options shown
+//   random   - the server picks one of the tied profiles at random
+// Either way the tied profiles and the pick are stored with the quiz result.
+export const TIE_BREAK_STRATEGIES = ["question", "random"];
+
+const DELIVERY_PREFERENCES = ["Auditory", "Text-Based"];
+
+function validateOption(option, where) {
+    if (!isText(option?.answer)) {
+        throw new Error(`${where} is missing its "answer" text.`);
+    }
+    if (option.delivery !== undefined) {
+        if (!DELIVERY_PREFERENCES.includes(option.delivery)) {
+            throw new Error(`${where} has unknown delivery "${option.delivery}". Expected one of: ${DELIVERY_PREFERENCES.join(", ")}`);
+        }
+        return;
+    }
+    if (!VISITOR_PROFILES.includes(option.profile) || typeof option.score !== "number") {
+        throw new Error(`${where} needs a "profile" (one of: ${VISITOR_PROFILES.join(", ")}) and a numeric "score", or a "delivery".`);
+    }
+}
+
+// Checked once at startup so a broken quiz file stops the server instead of reaching participants
+export function validateQuiz(definition) {
+    if (!definition || !definition.id || !Array.isArray(definition.questions) || definition.questions.length === 0) {
+        throw new Error("The quiz needs an \"id\" and at least one question.");
+    }
+
+    definition.mode = definition.mode || "single";
+    if (!QUIZ_MODES.includes(definition.mode)) {
+        throw new Error(`Unknown quiz mode "${definition.mode}". Expected one of: ${QUIZ_MODES.join(", ")}`);
+    }
+
+    definition.questions.forEach((question, index) => {
+        const where = `Quiz question ${index + 1}`;
+        if (!isText(question.text) || !Array.isArray(question.options) || question.options.length === 0) {
+            throw new Error(`${where} needs a "text" and at least one option.`);
+        }
+        question.options.forEach((option, optionIndex) => validateOption(option, `${where}, option ${optionIndex + 1}`));
+    });
+
+    const tieBreak = definition.tieBreak = definition.tieBreak || { strategy: "random" };
+    if (!TIE_BREAK_STRATEGIES.includes(tieBreak.strategy)) {
+        throw new Error(`Unknown tie-break strategy "${tieBreak.strategy}". Expected one of: ${TIE_BREAK_STRATEGIES.join(", ")}`);
+    }
+
+    if (tieBreak.strategy === "question") {
+        const options = tieBreak.question?.options;
+        if (!isText(tieBreak.question?.text) || !Array.isArray(options)) {
+            throw new Error("The tie-break question needs a \"text\" and options.");
+        }
+
+        // Any two profiles can tie, so every profile needs exactly one option
+        const missing = VISITOR_PROFILES.filter(profile => options.filter(option => option.profile === profile).length !== 1);
+        if (missing.length > 0 || options.length !== VISITOR_PROFILES.length || !options.every(option => isText(option.answer))) {
+            throw new Error(`The tie-break question needs one option with an "answer" per profile. Check: ${missing.join(", ") || "the answer texts"}`);
+        }
+    }
+
+    return definition;
+}
+
+export function loadQuiz(file) {
+    return validateQuiz(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+// What the participant screen gets: the texts, without the scores and profiles behind the options
+export function publicQuiz(quiz) {
+    return {
+        id: quiz.id,
+        questions: quiz.questions.map(question => ({
+            id: question.id,
+            text: question.text,
+            options: question.options.map(({ answer, delivery }) => ({ answer, delivery }))
+        })),
+        tieBreakQuestion: quiz.tieBreak.strategy === "question"
+            ? { text: quiz.tieBreak.question.text, options: quiz.tieBreak.question.options.map(({ answer }) => ({ answer })) }
+            : undefined
+    };
+}
+
+// Answers are { question, option } index pairs into the quiz, at most one per question
+export function parseQuizAnswers(quiz, answers) {
+    const valid = Array.isArray(answers) && answers.every(answer =>
+        Number.isInteger(answer?.question) && Number.isInteger(answer?.option) &&
+        quiz.questions[answer.question]?.options[answer.option] !== undefined
+    );
+
+    if (!valid || new Set(answers.map(answer => answer.question)).size !== answers.length) {
+        throw new RequestError("\"answers\" must be a list of { question, option } indexes into the quiz, one per question.");
+    }
+
+    return answers.map(({ question, option }) => ({ question, option }));
+}
+
+// Sum the scores of the chosen options per profile. Every profile is included, also those without points.
+export function scoreQuiz(quiz, answers) {
+    const scores = Object.fromEntries(VISITOR_PROFILES.map(profile => [profile, 0]));
+
+    for (const { question, option } of answers) {
+        const chosen = quiz.questions[question].options[option];
+        if (chosen.profile) scores[chosen.profile] += chosen.score;
+    }
+
+    return scores;
+}
+
+// Fill the profile places for the quiz mode (one, or two when blended) from the highest score down.
+// Whenever profiles with the same score compete for a place, the tie-break decides: the visitor's next
+// answer in tieBreakAnswers (option indexes into the tie-break question), or a random pick.
+// Returns { profiles, tieBreaks }, or { pendingTieBreak } with the options to show when an answer is still needed.
+export function assignProfiles(quiz, scores, tieBreakAnswers = [], pick = randomInt) {
+    const places = quiz.mode === "blended" ? 2 : 1;
+    const { strategy, question } = quiz.tieBreak;
+    const distinctScores = [...new Set(Object.values(scores))].sort((a, b) => b - a);
+
+    const profiles = [];
+    const tieBreaks = [];
+
+    for (const score of distinctScores) {
+        const tied = VISITOR_PROFILES.filter(profile => scores[profile] === score);
+
+        while (tied.length > 0 && profiles.length < places) {
+            let chosen = tied[0];
+
+            if (tied.length > 1 && strategy === "question") {
+                const options = tied.map(profile => question.options.findIndex(option => option.profile === profile));
+                const option = tieBreakAnswers[tieBreaks.length];
+
+                if (option === undefined) {
+                    return { pendingTieBreak: { profiles: [...tied], options } };
+                }
+                if (!options.includes(option)) {
+                    throw new RequestError(`Tie-break answer ${tieBreaks.length + 1} must be one of the options ${options.join(", ")}.`);
+                }
+
+                chosen = question.options[option].profile;
+                tieBreaks.push({ strategy, score, tiedProfiles: [...tied], chosen, option });
+            } else if (tied.length > 1) {
+                chosen = tied[pick(tied.length)];
+                tieBreaks.push({ strategy, score, tiedProfiles: [...tied], chosen });
+            }
+
+            profiles.push(chosen);
+            tied.splice(tied.indexOf(chosen), 1);
+        }
+
+        if (profiles.length === places) break;
+    }
+
+    return { profiles, tieBreaks };
+}
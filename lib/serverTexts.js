@@ -0,0 +1,74 @@
+import storage from "./storage/index.js";
+import { toPlainText } from "./fidelity.js";
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&#39;": "'", "&nbsp;": " " };
+
+// The participant screen shows catalogue texts as HTML and sends them back as innerText,
+// so texts are compared without markup and with whitespace collapsed
+export function normalizeText(text) {
+    return toPlainText(text)
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function catalogueTexts(artefact) {
+    const texts = [artefact.originalDescription, artefact.generalDescription, ...Object.values(artefact.profileDescriptions || {})];
+
+    for (const translation of Object.values(artefact.translations || {})) {
+        texts.push(translation.originalDescription, translation.generalDescription, ...Object.values(translation.profileDescriptions || {}));
+    }
+
+    return texts.filter(Boolean);
+}
+
+// The catalogue description adaptations are made from, in the language when it is translated
+export function originalDescriptionFor(artefact, language) {
+    return artefact.translations?.[language]?.originalDescription || artefact.originalDescription;
+}
+
+// The pre-written descriptions of an artefact as the participant screen shows them in the language: the original,
+// the general text and the variant per profile, each falling back to English when it isn't translated
+export function prewrittenTexts(artefact, language) {
+    const translation = artefact.translations?.[language] || {};
+    const profileDescriptions = { ...artefact.profileDescriptions, ...translation.profileDescriptions };
+
+    return [
+        originalDescriptionFor(artefact, language),
+        translation.generalDescription || artefact.generalDescription,
+        ...Object.values(profileDescriptions)
+    ].filter(Boolean);
+}
+
+// Whether the text was produced or stored by the server: a catalogue description in any language,
+// or a response in the participant's own thread (generated, cached or "Tell Me More").
+// Narration and "Tell Me More" only accept such texts, so the routes can't be used to process arbitrary input.
+export async function isServerText(text, thread) {
+    const normalized = normalizeText(text);
+    if (!normalized) return false;
+
+    const assistantMessages = (thread?.messages || []).filter(message => message.role === "assistant");
+    if (assistantMessages.some(message => normalizeText(message.content) === normalized)) return true;
+
+    const artefacts = await storage.artefacts.list();
+    return artefacts.some(artefact => catalogueTexts(artefact).some(candidate => normalizeText(candidate) === normalized));
+}
+
+// Refuse a request whose text field isn't a server text for the session's participant (req.thread, see lib/sessions.js)
+export function requireServerText(field) {
+    return async (req, res, next) => {
+        const text = req.body?.[field];
+        if (!text) return next(); // The route answers missing fields itself
+
+        try {
+            if (!await isServerText(text, req.thread)) {
+                res.locals.rejection = "unknown_text";
+                return res.status(403).json({ error: `"${field}" must be a text shown by the app.` });
+            }
+            next();
+        } catch (error) {
+            console.error("❌ Error checking text origin:", error);
+            res.status(500).json({ error: "Failed to check the text." });
+        }
+    };
+}
@@ -0,0 +1,87 @@
+import { createHash, randomBytes } from "crypto";
+import storage from "./storage/index.js";
+import { RequestError } from "./errors.js";
+
+// Participant IDs are "p" followed by a number from 1 ("p1", "p2", ...)
+export const PARTICIPANT_ID_PATTERN = /^p[1-9]\d*$/;
+
+// Only the hash is stored, so a database export can't be used to take over a session
+export function hashSessionToken(token) {
+    return createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function createSessionToken() {
+    const token = randomBytes(32).toString("base64url");
+    return { token, tokenHash: hashSessionToken(token) };
+}
+
+// Create the participant's thread unless the ID is already taken. Returns null for a taken ID.
+function claimParticipantId(participantId, session) {
+    return storage.threads.claim(participantId, { createdAt: new Date(), messages: [], artefactInteractions: [], session });
+}
+
+// Register the ID typed in by the researcher, or allocate the next free one when none is given
+export async function registerParticipant(participantId, session) {
+    if (participantId) {
+        if (!PARTICIPANT_ID_PATTERN.test(participantId)) {
+            throw new RequestError("Invalid participant ID. Use a lowercase \"p\" followed by a number, e.g. p1, p2 or p3.");
+        }
+
+        const thread = await claimParticipantId(participantId, session);
+        if (!thread) {
+            throw new RequestError(`Participant ID "${participantId}" is already in use.`, 409);
+        }
+        return thread;
+    }
+
+    const existing = (await storage.threads.listParticipantIds()).filter(id => /^p\d+$/.test(id));
+    let next = existing.reduce((highest, id) => Math.max(highest, parseInt(id.slice(1), 10)), 0) + 1;
+
+    // Another visitor may claim the same number in the meantime, in which case the next one is tried
+    for (; ;) {
+        const thread = await claimParticipantId(`p${next}`, session);
+        if (thread) return thread;
+        next++;
+    }
+}
+
+// Resolves the participant session from "Authorization: Bearer <session token>" and sets req.thread.
+// navigator.sendBeacon can't set headers, so the token may also be sent as "sessionToken" in the body.
+export async function requireSession(req, res, next) {
+    const header = req.get("Authorization");
+    const [scheme, token] = header ? header.split(" ") : ["Bearer", req.body?.sessionToken];
+
+    if (scheme !== "Bearer" || !token || typeof token !== "string") {
+        res.locals.rejection = "unauthenticated";
+        return res.status(401).json({ error: "Missing session token." });
+    }
+
+    try {
+        const thread = await storage.threads.findBySessionTokenHash(hashSessionToken(token));
+        if (!thread) {
+            res.locals.rejection = "unauthenticated";
+            return res.status(401).json({ error: "The session has ended or is unknown." });
+        }
+
+        thread.session.lastSeenAt = new Date();
+        req.thread = thread;
+        next();
+    } catch (error) {
+        console.error("❌ Error resolving session:", error);
+        res.status(500).json({ error: "Failed to resolve the session." });
+    }
+}
+
+// requireSession for routes that take a participantId in the body: the session decides whose thread is used,
+// and a different participantId is refused
+export const requireParticipantSession = [
+    requireSession,
+    (req, res, next) => {
+        if (req.body?.participantId && req.body.participantId !== req.thread.participantId) {
+            res.locals.rejection = "participant_mismatch";
+            return res.status(403).json({ error: "The participantId doesn't match the session." });
+        }
+        if (req.body) req.body.participantId = req.thread.participantId;
+        next();
+    }
+];
@@ -0,0 +1,35 @@
+// An AbortSignal that fires if the client disconnects before the response has been sent,
+// so upstream generation can be stopped when the visitor navigates away
+export function signalOnDisconnect(res) {
+    const controller = new AbortController();
+
+    res.on("close", () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    return controller.signal;
+}
+
+// Opens a Server-Sent Events response. The returned signal is aborted when the client disconnects.
+export function openEventStream(req, res) {
+    const signal = signalOnDisconnect(res);
+
+    res.set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no" // Stop reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    function send(event, data) {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function close() {
+        if (!res.writableEnded) res.end();
+    }
+
+    return { send, close, signal };
+}
@@ -0,0 +1,309 @@
+import fs from "fs";
+import path from "path";
+import Thread from "../../models/Thread.js";
+import InteractionEvent from "../../models/InteractionEvent.js";
+import Artefact from "../../models/Artefact.js";
+import Adaptation from "../../models/Adaptation.js";
+import Counter from "../../models/Counter.js";
+import { compareBy, matchesQuery } from "./query.js";
+
+// Same code as MongoDB's duplicate key error, so callers handle both storages alike
+function duplicateKeyError(message) {
+    const error = new Error(message);
+    error.code = 11000;
+    return error;
+}
+
+// What Mongoose's { timestamps: true } does on save
+function stampTimestamps(document) {
+    document.updatedAt = new Date();
+    if (!document.createdAt) document.createdAt = document.updatedAt;
+}
+
+// Iterates like a Mongoose cursor (for await ... of, close())
+function arrayCursor(items) {
+    let closed = false;
+
+    return {
+        async *[Symbol.asyncIterator]() {
+            for (const item of items) {
+                if (closed) return;
+                yield item;
+            }
+        },
+        async close() {
+            closed = true;
+        }
+    };
+}
+
+// Lines superseded by a later save or deletion before a running collection is rewritten:
+// at least this many, and more than there are documents, so rewrites stay rare
+const MIN_STALE_LINES = 100;
+
+// One collection in a JSON-lines file. Every save appends the whole document and deletions append
+// { _id, _deleted: true }; when the file is opened the last line per _id wins. Unless compact is
+// false the file is rewritten without the older lines when it is opened, and again whenever enough
+// of them have piled up. Documents are kept in memory, cast by the Mongoose model, so reads and
+// queries don't touch the disk.
+function openCollection(file, Model, { compact }) {
+    const records = new Map();
+    let lines = 0;
+
+    const toRecord = document => document.toObject({ flattenMaps: true });
+
+    if (fs.existsSync(file)) {
+        for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+            if (!line.trim()) continue;
+            lines++;
+
+            const record = JSON.parse(line);
+            if (record._deleted) {
+                records.delete(record._id);
+            } else {
+                records.set(String(record._id), toRecord(Model.hydrate(record)));
+            }
+        }
+    }
+
+    function rewrite() {
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, [...records.values()].map(record => JSON.stringify(record) + "\n").join(""));
+        fs.renameSync(temporary, file);
+        lines = records.size;
+    }
+
+    function append(appended) {
+        fs.appendFileSync(file, appended.map(record => JSON.stringify(record) + "\n").join(""));
+        lines += appended.length;
+    }
+
+    function compactIfStale() {
+        const stale = lines - records.size;
+        if (compact && stale >= MIN_STALE_LINES && stale > records.size) rewrite();
+    }
+
+    if (compact && lines > records.size) rewrite();
+
+    return {
+        values: () => [...records.values()],
+        get: id => records.get(String(id)),
+
+        // A copy as a Mongoose document that can be changed and passed back to put()
+        document: record => Model.hydrate(JSON.parse(JSON.stringify(record))),
+        // A copy as a plain object, like a .lean() query result
+        plain: record => toRecord(Model.hydrate(JSON.parse(JSON.stringify(record)))),
+
+        put(documents) {
+            const added = documents.map(toRecord);
+            append(added);
+            added.forEach(record => records.set(String(record._id), record));
+            compactIfStale();
+        },
+
+        remove(id) {
+            append([{ _id: String(id), _deleted: true }]);
+            records.delete(String(id));
+            compactIfStale();
+        }
+    };
+}
+
+// The same sums as the $group stage in mongoStorage.js
+function groupEntries(entries, field) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+        const key = field ? entry[field] ?? null : null;
+        const group = groups.get(key) || { _id: key, interactions: 0, participants: new Set(), times: [], tellMeMoreClicks: 0, withTellMeMore: 0, auditory: 0, playedAudio: 0 };
+
+        group.interactions++;
+        group.participants.add(entry.participantId);
+        if (typeof entry.timeSpentSeconds === "number") group.times.push(entry.timeSpentSeconds);
+        group.tellMeMoreClicks += entry.tellMeMoreClicked || 0;
+        if (entry.tellMeMoreClicked > 0) group.withTellMeMore++;
+        if (entry.deliveryMode === "Auditory") group.auditory++;
+        if (entry.playedAudio === "Yes") group.playedAudio++;
+        groups.set(key, group);
+    }
+
+    return [...groups.values()]
+        .map(group => ({
+            ...group,
+            participants: [...group.participants],
+            meanTimeSeconds: group.times.length > 0 ? group.times.reduce((sum, time) => sum + time, 0) / group.times.length : null
+        }))
+        .sort(compareBy({ _id: 1 }));
+}
+
+// Embedded storage in JSON-lines files under dir (STORAGE_DIR), for exhibitions without a database server.
+// Meant for one server process; run `npm run sync` to merge the files into MongoDB afterwards.
+export function createFileStorage({ dir, compact = true }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const collections = {
+        threads: openCollection(path.join(dir, "threads.jsonl"), Thread, { compact }),
+        events: openCollection(path.join(dir, "events.jsonl"), InteractionEvent, { compact }),
+        artefacts: openCollection(path.join(dir, "artefacts.jsonl"), Artefact, { compact }),
+        adaptations: openCollection(path.join(dir, "adaptations.jsonl"), Adaptation, { compact }),
+        counters: openCollection(path.join(dir, "counters.jsonl"), Counter, { compact })
+    };
+
+    function findOne(collection, query) {
+        const record = collection.values().find(entry => matchesQuery(entry, query));
+        return record ? collection.document(record) : null;
+    }
+
+    function findPlain(collection, query, sort) {
+        return collection.values().filter(entry => matchesQuery(entry, query)).sort(compareBy(sort)).map(collection.plain);
+    }
+
+    const threads = {
+        build: fields => new Thread(fields),
+        findByParticipantId: async participantId => findOne(collections.threads, { participantId }),
+        findBySessionTokenHash: async tokenHash => findOne(collections.threads, { "session.tokenHash": tokenHash }),
+
+        async claim(participantId, fields) {
+            if (collections.threads.values().some(entry => entry.participantId === participantId)) return null;
+            return threads.save(new Thread({ ...fields, participantId }));
+        },
+
+        listParticipantIds: async () => collections.threads.values().map(entry => entry.participantId),
+
+        // Like Mongoose's save(), only the paths changed on this copy are written, so two requests changing
+        // different parts of the same thread don't undo each other. Changes to the same array (e.g. both
+        // adding messages) are not merged; the participant screen sends one request at a time.
+        async save(thread) {
+            await thread.validate();
+
+            const stored = collections.threads.get(thread._id);
+            const taken = collections.threads.values().some(entry => entry.participantId === thread.participantId && String(entry._id) !== String(thread._id));
+            if (taken) throw duplicateKeyError(`Participant ID "${thread.participantId}" is already in use.`);
+
+            let merged = thread;
+            if (stored && !thread.isNew) {
+                merged = collections.threads.document(stored);
+                for (const changedPath of thread.directModifiedPaths()) {
+                    merged.set(changedPath, thread.get(changedPath));
+                }
+            }
+
+            collections.threads.put([merged]);
+            thread.isNew = false;
+            return thread;
+        },
+
+        count: async query => collections.threads.values().filter(entry => matchesQuery(entry, query)).length,
+        stream: query => arrayCursor(findPlain(collections.threads, query, { createdAt: 1 })),
+
+        async groupInteractions(threadQuery, entryMatch, breakdowns) {
+            const entries = collections.threads.values()
+                .filter(thread => matchesQuery(thread, threadQuery))
+                .flatMap(thread => (thread.artefactInteractions || []).map(interaction => ({ ...interaction, participantId: thread.participantId })))
+                .filter(entry => matchesQuery(entry, entryMatch));
+
+            return Object.fromEntries(Object.entries(breakdowns).map(([name, field]) => [name, groupEntries(entries, field)]));
+        }
+    };
+
+    const events = {
+        async append(entries) {
+            const seen = new Set(collections.events.values().map(entry => entry.eventId));
+            const added = [];
+
+            for (const entry of entries) {
+                if (seen.has(entry.eventId)) continue;
+
+                const event = new InteractionEvent(entry);
+                await event.validate();
+                added.push(event);
+                seen.add(entry.eventId);
+            }
+
+            if (added.length > 0) collections.events.put(added);
+            return added.length;
+        },
+
+        listForParticipant: async participantId => findPlain(collections.events, { participantId }, { clientTimestamp: 1, seq: 1, serverTimestamp: 1 }),
+        stream: query => arrayCursor(findPlain(collections.events, query, { participantId: 1, clientTimestamp: 1, seq: 1 }))
+    };
+
+    const artefacts = {
+        build: fields => new Artefact(fields),
+        list: async () => findPlain(collections.artefacts, {}, { order: 1, title: 1 }),
+        find: async artefactId => findOne(collections.artefacts, { artefactId }),
+
+        async save(artefact) {
+            stampTimestamps(artefact);
+            await artefact.validate();
+
+            const taken = collections.artefacts.values().some(entry => entry.artefactId === artefact.artefactId && String(entry._id) !== String(artefact._id));
+            if (taken) throw duplicateKeyError(`Artefact "${artefact.artefactId}" already exists.`);
+
+            collections.artefacts.put([artefact]);
+            artefact.isNew = false;
+            return artefact;
+        },
+
+        async remove(artefactId) {
+            const record = collections.artefacts.values().find(entry => entry.artefactId === artefactId);
+            if (!record) return null;
+
+            collections.artefacts.remove(record._id);
+            return collections.artefacts.plain(record);
+        },
+
+        async seed(seedFile) {
+            if (collections.artefacts.values().length > 0) return 0;
+
+            const catalogue = JSON.parse(fs.readFileSync(seedFile, "utf8")).map(fields => new Artefact(fields));
+            catalogue.forEach(stampTimestamps);
+            await Promise.all(catalogue.map(artefact => artefact.validate()));
+            collections.artefacts.put(catalogue);
+            return catalogue.length;
+        }
+    };
+
+    const adaptations = {
+        find: async key => findPlain(collections.adaptations, key, {})[0] || null,
+
+        async upsert(key, fields) {
+            const existing = findOne(collections.adaptations, key);
+            const adaptation = existing || new Adaptation(key);
+
+            adaptation.set(fields);
+            stampTimestamps(adaptation);
+            await adaptation.validate();
+
+            collections.adaptations.put([adaptation]);
+            return collections.adaptations.plain(collections.adaptations.get(adaptation._id));
+        },
+
+        list: async () => findPlain(collections.adaptations, {}, {})
+    };
+
+    // One server process uses the files, so nothing else increments a counter between reading and writing it
+    const counters = {
+        async next(name, initial = async () => 0) {
+            if (!collections.counters.get(name)) {
+                const start = await initial();
+                if (!collections.counters.get(name)) collections.counters.put([new Counter({ _id: name, value: start })]);
+            }
+
+            const value = collections.counters.get(name).value;
+            collections.counters.put([new Counter({ _id: name, value: value + 1 })]);
+            return value;
+        }
+    };
+
+    return {
+        name: "file",
+        dir,
+        threads,
+        events,
+        artefacts,
+        adaptations,
+        counters,
+        close: async () => { }
+    };
+}
@@ -0,0 +1,25 @@
+import { createMongoStorage } from "./mongoStorage.js";
+import { createFileStorage } from "./fileStorage.js";
+
+// Where threads, interaction events, artefacts and cached adaptations are kept (STORAGE_DRIVER):
+//   mongodb - MongoDB at MONGODB_URI (default)
+//   file    - JSON-lines files in STORAGE_DIR, for exhibitions without a database server
+export const STORAGE_DRIVERS = ["mongodb", "file"];
+
+// The open storage. Its repositories (threads, events, artefacts, adaptations, counters) are filled in by openStorage
+// at startup, like the Mongoose models are by mongoose.connect.
+const storage = {};
+
+export async function openStorage({ driver = "mongodb", uri, dir }) {
+    if (!STORAGE_DRIVERS.includes(driver)) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${STORAGE_DRIVERS.join(", ")}`);
+    }
+
+    const opened = driver === "file"
+        ? createFileStorage({ dir })
+        : await createMongoStorage({ uri });
+
+    return Object.assign(storage, opened);
+}
+
+export default storage;
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import fs from "fs/promises";
+import Thread from "../../models/Thread.js";
+import InteractionEvent from "../../models/InteractionEvent.js";
+import Artefact from "../../models/Artefact.js";
+import Adaptation from "../../models/Adaptation.js";
+import Counter from "../../models/Counter.js";
+
+const DUPLICATE_KEY = 11000;
+
+// Per-group sums for groupInteractions; the dashboard works out rates and the median
+function groupStage(field) {
+    return [
+        {
+            $group: {
+                _id: field ? `$${field}` : null,
+                interactions: { $sum: 1 },
+                participants: { $addToSet: "$participantId" },
+                times: { $push: "$timeSpentSeconds" },
+                meanTimeSeconds: { $avg: "$timeSpentSeconds" },
+                tellMeMoreClicks: { $sum: "$tellMeMoreClicked" },
+                withTellMeMore: { $sum: { $cond: [{ $gt: ["$tellMeMoreClicked", 0] }, 1, 0] } },
+                auditory: { $sum: { $cond: [{ $eq: ["$deliveryMode", "Auditory"] }, 1, 0] } },
+                playedAudio: { $sum: { $cond: [{ $eq: ["$playedAudio", "Yes"] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ];
+}
+
+// The study data in MongoDB (MONGODB_URI), through the Mongoose models
+export async function createMongoStorage({ uri }) {
+    mongoose.set("strictQuery", true);
+    mongoose.set("bufferCommands", false); // Prevents buffering if disconnected
+
+    mongoose.connection.on("connecting", () => console.log("⏳ Connecting to MongoDB..."));
+    mongoose.connection.on("connected", () => console.log("✅ MongoDB connected successfully!"));
+    mongoose.connection.on("error", err => console.error("❌ MongoDB Error:", err));
+    mongoose.connection.on("disconnected", () => console.error("⚠️ MongoDB Disconnected!"));
+
+    await mongoose.connect(uri, {
+        serverSelectionTimeoutMS: 30000, // ⏳ Increase timeout to 30 seconds
+        socketTimeoutMS: 45000, // Increase query timeout
+    });
+
+    const threads = {
+        build: fields => new Thread(fields),
+        findByParticipantId: participantId => Thread.findOne({ participantId }),
+        findBySessionTokenHash: tokenHash => Thread.findOne({ "session.tokenHash": tokenHash }),
+
+        // Create the thread unless the participant ID is taken, in one atomic step. Returns null for a taken ID.
+        // Concurrent upserts for the same ID can both miss the existing thread; the unique index on participantId
+        // then fails the later one with a duplicate key error.
+        async claim(participantId, fields) {
+            try {
+                const result = await Thread.findOneAndUpdate(
+                    { participantId },
+                    { $setOnInsert: { ...fields, participantId } },
+                    { upsert: true, new: true, includeResultMetadata: true }
+                );
+                return result.lastErrorObject?.updatedExisting ? null : result.value;
+            } catch (error) {
+                if (error.code === DUPLICATE_KEY) return null;
+                throw error;
+            }
+        },
+
+        async listParticipantIds() {
+            const found = await Thread.find({}, { participantId: 1 }).lean();
+            return found.map(thread => thread.participantId);
+        },
+
+        save: thread => thread.save(),
+        count: query => Thread.countDocuments(query),
+        stream: query => Thread.find(query).sort({ createdAt: 1 }).lean().cursor(),
+
+        // Artefact interactions of the matching threads, grouped once per breakdown ({ name: field, or null for all })
+        async groupInteractions(threadQuery, entryMatch, breakdowns) {
+            const [facets = {}] = await Thread.aggregate([
+                { $match: threadQuery },
+                { $unwind: "$artefactInteractions" },
+                { $replaceWith: { $mergeObjects: ["$artefactInteractions", { participantId: "$participantId" }] } },
+                { $match: entryMatch },
+                { $facet: Object.fromEntries(Object.entries(breakdowns).map(([name, field]) => [name, groupStage(field)])) }
+            ]);
+            return Object.fromEntries(Object.keys(breakdowns).map(name => [name, facets[name] || []]));
+        }
+    };
+
+    const events = {
+        // Store the events, skipping ones already stored from an earlier attempt at the same batch. Returns the number stored.
+        async append(entries) {
+            try {
+                const inserted = await InteractionEvent.insertMany(entries, { ordered: false });
+                return inserted.length;
+            } catch (error) {
+                const writeErrors = error.writeErrors || [];
+                if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY)) throw error;
+
+                return entries.length - writeErrors.length;
+            }
+        },
+
+        // A participant's events in the order they happened
+        listForParticipant: participantId => InteractionEvent.find({ participantId }).sort({ clientTimestamp: 1, seq: 1, serverTimestamp: 1 }).lean(),
+        stream: query => InteractionEvent.find(query).sort({ participantId: 1, clientTimestamp: 1, seq: 1 }).lean().cursor()
+    };
+
+    const artefacts = {
+        build: fields => new Artefact(fields),
+        // The catalogue in grid order. Counterbalancing maps artefacts to conditions in this order too.
+        list: () => Artefact.find({}).sort({ order: 1, title: 1 }).lean(),
+        find: artefactId => Artefact.findOne({ artefactId }),
+        save: artefact => artefact.save(),
+        remove: artefactId => Artefact.findOneAndDelete({ artefactId }).lean(),
+
+        // Fill an empty collection from the bundled catalogue so a fresh database starts with the study artefacts
+        async seed(seedFile) {
+            if (await Artefact.countDocuments() > 0) return 0;
+
+            const catalogue = JSON.parse(await fs.readFile(seedFile, "utf8"));
+            await Artefact.insertMany(catalogue);
+            return catalogue.length;
+        }
+    };
+
+    const adaptations = {
+        find: key => Adaptation.findOne(key).lean(),
+        upsert: (key, fields) => Adaptation.findOneAndUpdate(key, { $set: fields }, { upsert: true, new: true }).lean(),
+        list: () => Adaptation.find({}).lean()
+    };
+
+    const counters = {
+        // Hand out the counter's next value (0, 1, 2, ...) in one atomic step. initial() gives the value a new
+        // counter starts from; when two requests create it at once, the first one's value is kept.
+        async next(name, initial = async () => 0) {
+            if (!await Counter.exists({ _id: name })) {
+                const start = await initial();
+                try {
+                    await Counter.updateOne({ _id: name }, { $setOnInsert: { value: start } }, { upsert: true });
+                } catch (error) {
+                    if (error.code !== DUPLICATE_KEY) throw error;
+                }
+            }
+
+            const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { value: 1 } }, { new: true }).lean();
+            return counter.value - 1;
+        }
+    };
+
+    return {
+        name: "mongodb",
+        threads,
+        events,
+        artefacts,
+        adaptations,
+        counters,
+        close: () => mongoose.disconnect()
+    };
+}
@@ -0,0 +1,75 @@
+// The subset of MongoDB's query language used by the routes (see lib/filters.js), evaluated in memory
+// for the file storage: equality, $exists, $gt/$gte/$lt/$lte, $in, $ne, $elemMatch, $or, $and and $nor.
+// A null value matches missing fields, like in MongoDB.
+
+function getPath(document, path) {
+    return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), document);
+}
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(value, expected) {
+    if (expected === null) return value === null || value === undefined;
+    if (expected instanceof RegExp) return typeof value === "string" && expected.test(value);
+    if (Array.isArray(value)) return value.some(entry => equals(entry, expected));
+    if (expected instanceof Date) return value instanceof Date && value.getTime() === expected.getTime();
+    return value !== null && value !== undefined && String(value) === String(expected);
+}
+
+function compare(value, bound, test) {
+    return value !== null && value !== undefined && test(comparable(value), comparable(bound));
+}
+
+const OPERATORS = {
+    $exists: (value, exists) => (value !== undefined) === Boolean(exists),
+    $gt: (value, bound) => compare(value, bound, (a, b) => a > b),
+    $gte: (value, bound) => compare(value, bound, (a, b) => a >= b),
+    $lt: (value, bound) => compare(value, bound, (a, b) => a < b),
+    $lte: (value, bound) => compare(value, bound, (a, b) => a <= b),
+    $in: (value, options) => options.some(option => equals(value, option)),
+    $ne: (value, expected) => !equals(value, expected),
+    $elemMatch: (value, query) => Array.isArray(value) && value.some(entry => matchesQuery(entry, query))
+};
+
+function isOperatorObject(condition) {
+    return condition !== null && typeof condition === "object" && !(condition instanceof Date) && !(condition instanceof RegExp) &&
+        Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith("$"));
+}
+
+function matchesCondition(value, condition) {
+    if (!isOperatorObject(condition)) return equals(value, condition);
+
+    return Object.entries(condition).every(([operator, argument]) => {
+        if (!OPERATORS[operator]) throw new Error(`Unsupported query operator "${operator}".`);
+        return OPERATORS[operator](value, argument);
+    });
+}
+
+export function matchesQuery(document, query = {}) {
+    return Object.entries(query).every(([key, condition]) => {
+        switch (key) {
+            case "$or": return condition.some(subquery => matchesQuery(document, subquery));
+            case "$and": return condition.every(subquery => matchesQuery(document, subquery));
+            case "$nor": return !condition.some(subquery => matchesQuery(document, subquery));
+            default: return matchesCondition(getPath(document, key), condition);
+        }
+    });
+}
+
+// Sort like MongoDB's sort({ field: 1, ... }); missing values come first
+export function compareBy(sort) {
+    return (a, b) => {
+        for (const [field, direction] of Object.entries(sort)) {
+            const left = comparable(getPath(a, field));
+            const right = comparable(getPath(b, field));
+
+            if (left === right) continue;
+            if (left === undefined || left === null) return -direction;
+            if (right === undefined || right === null) return direction;
+            return (left < right ? -1 : 1) * direction;
+        }
+        return 0;
+    };
+}
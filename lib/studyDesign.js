@@ -0,0 +1,130 @@
+import fs from "fs";
+import { createHash } from "crypto";
+
+export const STUDY_DESIGNS = ["latin-square", "williams", "randomized-block"];
+
+// Conditions can be plain description types ("Adapted") or objects such as
+// { "id": "Adapted+Audio", "descriptionType": "Adapted", "deliveryMode": "Auditory" }.
+// "prompts" picks prompt template versions for the condition, e.g. { "adaptation": "2" } (see lib/prompts.js).
+function normalizeCondition(condition) {
+    if (typeof condition === "string") {
+        return { id: condition, descriptionType: condition };
+    }
+
+    if (!condition || !condition.id || !condition.descriptionType) {
+        throw new Error(`Invalid study condition: ${JSON.stringify(condition)}. Conditions need an "id" and a "descriptionType".`);
+    }
+
+    return { id: condition.id, descriptionType: condition.descriptionType, deliveryMode: condition.deliveryMode, prompts: condition.prompts };
+}
+
+// Cyclic Latin square: every condition appears once per row and once per column
+export function latinSquare(n) {
+    return Array.from({ length: n }, (_, row) => Array.from({ length: n }, (_, column) => (column + row) % n));
+}
+
+// Williams design: a Latin square where every condition follows every other condition equally often.
+// Odd n needs the mirrored square as well, giving 2n rows.
+export function williamsSquare(n) {
+    const firstRow = Array.from({ length: n }, (_, j) => j % 2 === 1 ? (j + 1) / 2 : (n - j / 2) % n);
+    const rows = Array.from({ length: n }, (_, row) => firstRow.map(value => (value + row) % n));
+
+    if (n % 2 === 1) {
+        rows.push(...rows.map(row => [...row].reverse()));
+    }
+
+    return rows;
+}
+
+// Small deterministic PRNG so randomized blocks can be reproduced from the study seed
+function seededRandom(seed) {
+    let state = createHash("sha256").update(seed).digest().readUInt32LE(0);
+
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(values, random) {
+    const shuffled = [...values];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Counterbalancing engine: maps a participant index to one condition per artefact.
+// The study's "prompts" versions apply to every condition unless the condition picks its own.
+export function createStudyDesign({ design = "latin-square", conditions = ["Adapted", "General", "Original"], seed = "", prompts = {} } = {}) {
+    if (!STUDY_DESIGNS.includes(design)) {
+        throw new Error(`Unknown study design "${design}". Expected one of: ${STUDY_DESIGNS.join(", ")}`);
+    }
+
+    const normalizedConditions = conditions.map(normalizeCondition)
+        .map(condition => ({ ...condition, prompts: { ...prompts, ...condition.prompts } }));
+    if (normalizedConditions.length === 0) {
+        throw new Error("A study design needs at least one condition.");
+    }
+
+    const rows = design === "williams" ? williamsSquare(normalizedConditions.length) : latinSquare(normalizedConditions.length);
+
+    // Randomized blocks use every row once per block, in a seeded random order
+    function rowIndexFor(participantIndex) {
+        if (design !== "randomized-block") {
+            return participantIndex % rows.length;
+        }
+
+        const block = Math.floor(participantIndex / rows.length);
+        const rowOrder = shuffle(rows.map((_, index) => index), seededRandom(`${seed}:${block}`));
+        return rowOrder[participantIndex % rows.length];
+    }
+
+    // A row gives every condition once. A catalogue of any size is split into blocks of as many artefacts as there
+    // are conditions, and each block takes the next row, so every artefact gets every condition equally often across
+    // participants. Within a participant the counts differ by one when the blocks don't divide evenly.
+    function conditionFor(row, artefactIndex) {
+        const block = Math.floor(artefactIndex / normalizedConditions.length);
+        const blockRow = rows[(row + block) % rows.length];
+        return normalizedConditions[blockRow[artefactIndex % normalizedConditions.length]];
+    }
+
+    // Returns a warning when the catalogue size isn't a multiple of the number of conditions, or null
+    function catalogueWarning(artefacts) {
+        if (artefacts.length % normalizedConditions.length === 0) return null;
+        return `The catalogue has ${artefacts.length} artefacts, which is not a multiple of the ${normalizedConditions.length} conditions, so each participant sees some conditions once more than others.`;
+    }
+
+    // Artefacts are matched to the rows' columns in catalogue order, a new row for every block
+    function assign(participantIndex, artefacts) {
+        const row = rowIndexFor(participantIndex);
+
+        return {
+            design,
+            seed,
+            participantIndex,
+            row,
+            artefacts: artefacts.map((artefact, index) => {
+                const condition = conditionFor(row, index);
+                return {
+                    artefactId: artefact.artefactId,
+                    title: artefact.title,
+                    condition: condition.id,
+                    descriptionType: condition.descriptionType,
+                    deliveryMode: condition.deliveryMode,
+                    prompts: condition.prompts
+                };
+            }),
+            assignedAt: new Date()
+        };
+    }
+
+    return { design, seed, prompts, conditions: normalizedConditions, rows, rowIndexFor, conditionFor, catalogueWarning, assign };
+}
+
+export function loadStudyConfig(configFile) {
+    return JSON.parse(fs.readFileSync(configFile, "utf8"));
+}
@@ -0,0 +1,119 @@
+import storage from "./storage/index.js";
+import { toGenerationError } from "./llm/errors.js";
+
+// Find the participant's thread in the database, creating an empty one if needed (no provider call)
+export async function findOrCreateParticipantThread(participantId) {
+    const thread = await storage.threads.findByParticipantId(participantId);
+    if (thread) return thread;
+
+    return storage.threads.build({
+        participantId,
+        createdAt: new Date(),
+        messages: [],
+        artefactInteractions: []
+    });
+}
+
+// Find the participant's thread, creating the provider-side thread if it doesn't exist yet. A thread made by
+// another provider (LLM_PROVIDER changed since) is unknown to this one, so a new one is created.
+// Threads from before providers were recorded belong to the Assistants API.
+export async function getOrCreateThread(llmProvider, participantId) {
+    const thread = await findOrCreateParticipantThread(participantId);
+    const threadProvider = thread.provider || "assistants";
+
+    if (thread.threadId && threadProvider === llmProvider.name) {
+        console.log(`🔄 Using existing Thread ID: ${thread.threadId}`);
+        return thread;
+    }
+
+    if (thread.threadId) {
+        console.log(`🟢 Thread ${thread.threadId} belongs to the ${threadProvider} provider. Creating a new thread...`);
+    } else {
+        console.log("🟢 No existing thread found. Creating a new thread...");
+    }
+    const threadId = await llmProvider.createThread({ participantId });
+
+    thread.threadId = threadId;
+    thread.provider = llmProvider.name;
+
+    await storage.threads.save(thread);
+    console.log(`✅ Created Thread ID: ${thread.threadId} (${llmProvider.name}) for Participant: ${participantId}`);
+    return thread;
+}
+
+// Send a prompt (from lib/prompts.js) through the provider and store both sides of the exchange in the thread.
+// Both messages record the prompt template and version, and the model and assistant that answered.
+// With onToken the response is streamed; it is only saved once the stream has completed.
+// validate(text) may return a fidelity verdict, which is stored with the assistant message.
+export async function generateForThread(llmProvider, thread, prompt, context, { onToken, signal, validate } = {}) {
+    const history = thread.messages.map(({ role, content }) => ({ role, content }));
+    const generation = {
+        promptTemplate: prompt.templateId,
+        promptVersion: prompt.version,
+        model: llmProvider.model,
+        assistantId: llmProvider.assistantId
+    };
+
+    thread.messages.push({
+        role: "user",
+        content: prompt.text,
+        timestamp: new Date(),
+        ...generation
+    });
+    const userMessage = thread.messages[thread.messages.length - 1];
+
+    await storage.threads.save(thread);
+
+    console.log(`📝 Sending prompt ${prompt.templateId} v${prompt.version} to ${llmProvider.name} provider${onToken ? " (streaming)" : ""}...`);
+    const onRun = run => {
+        if (run.model) generation.model = run.model;
+    };
+    const request = { threadId: thread.threadId, prompt: prompt.text, history, context, signal, onRun };
+    let responseContent;
+
+    try {
+        responseContent = onToken
+            ? await llmProvider.stream({ ...request, onToken })
+            : await llmProvider.generate(request);
+    } catch (error) {
+        const failure = toGenerationError(error, signal);
+        await recordGenerationFailure(thread, failure, context, llmProvider.name);
+        throw failure;
+    }
+
+    userMessage.model = generation.model; // The Assistants API only reports the model once the run has started
+    thread.messages.push({
+        role: "assistant",
+        content: responseContent,
+        timestamp: new Date(),
+        ...generation,
+        fidelity: validate?.(responseContent)
+    });
+
+    await storage.threads.save(thread);
+    console.log("✅ Assistant response saved to thread.");
+
+    return responseContent;
+}
+
+// Log why a generation failed on the participant's thread, without hiding the original error
+export async function recordGenerationFailure(thread, failure, { kind, artefact, profile } = {}, provider) {
+    console.warn(`⚠️ ${kind || "Generation"} failed (${failure.reason}): ${failure.message}`);
+
+    thread.generationFailures.push({
+        kind,
+        artefact,
+        profile,
+        reason: failure.reason,
+        message: failure.message,
+        provider,
+        runId: failure.details?.runId,
+        timestamp: new Date()
+    });
+
+    try {
+        await storage.threads.save(thread);
+    } catch (error) {
+        console.error("❌ Could not record generation failure:", error);
+    }
+}
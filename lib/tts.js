@@ -0,0 +1,234 @@
+import fetch from "node-fetch";
+import fs from "fs/promises";
+import path from "path";
+import { createHash } from "crypto";
+import { OPENAI_API_URL, OPENAI_HEADERS } from "./openai.js";
+import { DEFAULT_LANGUAGE, ttsVoiceFor } from "./languages.js";
+import { normalizeText } from "./serverTexts.js";
+import { RequestError } from "./errors.js";
+import { readMP3 } from "./mp3.js";
+
+// Voices visitors can pick on the participant screen; without a pick the language's voice is used
+export const TTS_VOICES = ["alloy", "echo", "fable", "nova", "onyx", "shimmer"];
+
+export function resolveVoice(voice) {
+    if (!voice) return undefined;
+
+    if (!TTS_VOICES.includes(voice)) {
+        throw new RequestError(`Unknown voice "${voice}". Expected one of: ${TTS_VOICES.join(", ")}`);
+    }
+    return voice;
+}
+
+// Narration is synthesized one sentence at a time so the participant screen knows where each sentence starts
+const SYNTHESIS_CONCURRENCY = 3;
+
+// Words before a full stop that don't end a sentence (initials like "J." are handled separately)
+const ABBREVIATIONS = ["mr", "mrs", "ms", "dr", "st", "no", "nr", "ca", "e.g", "i.e", "prof", "fig", "f.eks", "bl.a", "kr"];
+
+// A sentence ends at . ! ? or … (with any closing quotes or brackets) when the next one starts with a capital letter
+const SENTENCE_END = /[.!?…]+["'”’»)\]]*(?=\s+["'“‘«(\[]?\p{Lu})/gu;
+const LINE_BREAK = /<br\s*\/?>|\n/gi;
+
+// Split a text as the participant screen shows it (pre-written descriptions contain <br>) into sentences.
+// from and to are offsets into the text; line breaks always end a sentence.
+export function splitSentences(text) {
+    const sentences = [];
+
+    function add(from, to) {
+        const part = text.slice(from, to);
+        const spoken = normalizeText(part);
+        if (!/[\p{L}\p{N}]/u.test(spoken)) return;
+
+        const leading = part.length - part.trimStart().length;
+        sentences.push({ text: spoken, from: from + leading, to: from + part.trimEnd().length });
+    }
+
+    let lineStart = 0;
+    for (const lineEnd of [...text.matchAll(LINE_BREAK), { index: text.length, 0: "" }]) {
+        const line = text.slice(lineStart, lineEnd.index);
+        let from = lineStart;
+
+        for (const end of line.matchAll(SENTENCE_END)) {
+            const word = /(\S+)[.]$/.exec(line.slice(0, end.index + 1))?.[1] || "";
+            if (word.length === 1 || ABBREVIATIONS.includes(word.toLowerCase())) continue;
+
+            const to = lineStart + end.index + end[0].length;
+            add(from, to);
+            from = to;
+        }
+
+        add(from, lineStart + line.length);
+        lineStart = lineEnd.index + lineEnd[0].length;
+    }
+
+    return sentences;
+}
+
+async function mapWithConcurrency(items, limit, work) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await work(items[index]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Function to fetch TTS with automatic retries. Without an explicit voice, the voice configured for the language is used.
+export async function fetchTTSWithRetry(text, { model = "tts-1", language = DEFAULT_LANGUAGE, voice = ttsVoiceFor(language), retries = 3 } = {}) {
+    for (let i = 0; i < retries; i++) {
+        try {
+            console.log(`Sending Text-to-Speech Request (Attempt ${i + 1})...`);
+
+            const response = await fetch(`${OPENAI_API_URL}/audio/speech`, {
+                method: "POST",
+                headers: OPENAI_HEADERS,
+                body: JSON.stringify({
+                    model,
+                    input: text,
+                    voice,
+                }),
+                signal: AbortSignal.timeout(90000),  // ⏳ 90 seconds; node-fetch has no timeout option
+            });
+
+            if (!response.ok) throw new Error(`Failed to generate audio: ${response.statusText}`);
+
+            const audioBuffer = await response.arrayBuffer();
+            console.log("🔊 TTS Audio successfully generated!");
+            return Buffer.from(audioBuffer);
+        } catch (error) {
+            console.error(`❌ TTS attempt ${i + 1} failed:`, error.message);
+            if (i === retries - 1) {
+                console.error("🚨 TTS service unavailable after multiple retries.");
+                throw error;
+            }
+            await new Promise(res => setTimeout(res, 3000)); // ⏳ Wait before retrying
+        }
+    }
+}
+
+export const TTS_KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// Synthesized narration stored on disk, keyed by a hash of text, model and voice,
+// so identical narration is generated once and shared by every visitor.
+// Next to every <key>.mp3 is <key>.json with the sentences and when each is spoken:
+// { voice, sentences: [{ text, from, to, start, end }] }, start and end in seconds.
+export function createTTSCache({ cacheDir, model = "tts-1", voiceFor = ttsVoiceFor, synthesize = fetchTTSWithRetry }) {
+    const pending = new Map(); // Requests for the same audio share one synthesis
+
+    // { language } picks the language's voice; { model, voice } override the defaults
+    function settingsFor({ language = DEFAULT_LANGUAGE, voice, ...options } = {}) {
+        return { model, voice: voice || voiceFor(language), language, ...options };
+    }
+
+    // "sentences" keeps narration synthesized in one piece, before sentence timings existed, from being reused;
+    // removeUntimed() deletes those files
+    function keyFor(text, options = {}) {
+        const settings = settingsFor(options);
+        return createHash("sha256").update(JSON.stringify([settings.model, settings.voice, "sentences", text])).digest("hex");
+    }
+
+    function pathFor(key, extension = "mp3") {
+        return path.join(cacheDir, `${key}.${extension}`);
+    }
+
+    async function exists(key) {
+        try {
+            await fs.access(pathFor(key));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Write to a temporary file first so a half-written file is never served
+    async function writeAtomically(filePath, data) {
+        const tempFile = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, data);
+        await fs.rename(tempFile, filePath);
+    }
+
+    // Synthesize every sentence, join the audio and note where each sentence starts.
+    // Returns the number of characters sent for synthesis.
+    async function generate(key, text, settings) {
+        const sentences = splitSentences(text);
+        if (sentences.length === 0) sentences.push({ text: normalizeText(text) || text, from: 0, to: text.length });
+
+        const parts = await mapWithConcurrency(sentences, SYNTHESIS_CONCURRENCY, async sentence => {
+            const audioBuffer = await synthesize(sentence.text, settings);
+
+            if (!audioBuffer || audioBuffer.length === 0) {
+                throw new Error("No audio buffer received.");
+            }
+            return readMP3(audioBuffer);
+        });
+
+        let start = 0;
+        const timings = sentences.map((sentence, index) => {
+            const end = start + parts[index].duration;
+            const timing = { ...sentence, start: Number(start.toFixed(3)), end: Number(end.toFixed(3)) };
+            start = end;
+            return timing;
+        });
+
+        // The timings are written first, so a narration that exists always has them
+        await fs.mkdir(cacheDir, { recursive: true });
+        await writeAtomically(pathFor(key, "json"), JSON.stringify({ voice: settings.voice, sentences: timings }));
+        await writeAtomically(pathFor(key), Buffer.concat(parts.map(part => part.audio)));
+        return sentences.reduce((characters, sentence) => characters + sentence.text.length, 0);
+    }
+
+    // Narration is always written after its timings, so audio without a .json was cached before sentence
+    // timings existed. Its key lacks "sentences", so it is never served again; returns how many files were removed.
+    async function removeUntimed() {
+        let files;
+        try {
+            files = new Set(await fs.readdir(cacheDir));
+        } catch (error) {
+            if (error.code === "ENOENT") return 0;
+            throw error;
+        }
+
+        const untimed = [...files].filter(file => {
+            const [key, extension] = file.split(".");
+            return extension === "mp3" && TTS_KEY_PATTERN.test(key) && !files.has(`${key}.json`);
+        });
+        await Promise.all(untimed.map(file => fs.rm(path.join(cacheDir, file), { force: true })));
+        return untimed.length;
+    }
+
+    async function readTimings(key) {
+        return JSON.parse(await fs.readFile(pathFor(key, "json"), "utf8"));
+    }
+
+    // Returns the cache key, file and sentence timings for the narration, synthesizing it if it isn't cached yet.
+    // characters is how many this call sent for synthesis: 0 when cached or when another request was already synthesizing it.
+    async function getOrCreate(text, options = {}) {
+        const settings = settingsFor(options);
+        const key = keyFor(text, settings);
+
+        if (await exists(key)) {
+            console.log(`♻️ Using cached TTS audio: ${key}`);
+            return { key, filePath: pathFor(key), cached: true, characters: 0, ...await readTimings(key) };
+        }
+
+        let characters = 0;
+        if (pending.has(key)) {
+            await pending.get(key);
+        } else {
+            const synthesis = generate(key, text, settings).finally(() => pending.delete(key));
+            pending.set(key, synthesis);
+            characters = await synthesis;
+        }
+
+        return { key, filePath: pathFor(key), cached: false, characters, ...await readTimings(key) };
+    }
+
+    return { keyFor, pathFor, exists, getOrCreate, removeUntimed };
+}
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+import { fidelitySchema } from "./Thread.js";
+
+// Generated adaptations, reused across participants with the same artefact, profile, source text and prompt
+const adaptationSchema = new mongoose.Schema({
+    artefact: { type: String, required: true },
+    profile: { type: String, required: true },
+    descriptionHash: { type: String, required: true }, // SHA-256 of the original description the adaptation was made from
+    promptVersion: { type: String, required: true }, // Includes the language for non-English prompts, e.g. "1-nb"
+    language: { type: String, default: "en" },
+    text: { type: String, required: true },
+    provider: String,
+    model: String,
+    assistantId: String,
+    source: { type: String, enum: ["live", "pregenerated"], default: "live" },
+    fidelity: fidelitySchema
+}, { timestamps: true });
+
+adaptationSchema.index({ artefact: 1, profile: 1, descriptionHash: 1, promptVersion: 1 }, { unique: true });
+
+const Adaptation = mongoose.model("Adaptation", adaptationSchema);
+
+export default Adaptation;
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// The catalogue texts in another language. Missing fields fall back to the default (English) text.
+const translationSchema = new mongoose.Schema({
+    title: String,
+    originalDescription: String,
+    generalDescription: String,
+    profileDescriptions: { type: Map, of: String, default: {} }
+}, { _id: false });
+
+const artefactSchema = new mongoose.Schema({
+    artefactId: { type: String, required: true, unique: true, match: /^[a-z0-9-]+$/ }, // URL-friendly slug
+    title: { type: String, required: true },
+    image: String, // Path relative to the public folder, e.g. "artefacts/cookbook.webp"
+    order: { type: Number, default: 0 }, // Position in the artefact grid
+    originalDescription: { type: String, required: true }, // The museum's own label text ("Original" condition)
+    generalDescription: String, // Pre-written engaging text for all visitors ("General" condition)
+    profileDescriptions: { type: Map, of: String, default: {} }, // Pre-written variant per visitor profile ("Adapted" condition)
+    translations: { type: Map, of: translationSchema, default: {} } // Keyed by language code, e.g. "nb"
+}, { timestamps: true });
+
+const Artefact = mongoose.model("Artefact", artefactSchema);
+
+export default Artefact;
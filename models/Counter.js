@@ -0,0 +1,11 @@
+import mongoose from "mongoose";
+
+// Named counters that are incremented atomically, e.g. the counterbalancing index handed to each participant
+const counterSchema = new mongoose.Schema({
+    _id: String, // The counter's name
+    value: { type: Number, default: 0 } // How many values have been handed out
+});
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
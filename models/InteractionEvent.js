@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { EVENT_TYPES } from "../lib/events.js";
+
+// Append-only log of what a participant did and when (see lib/events.js). Thread.artefactInteractions
+// holds the per-artefact counters derived from it.
+const interactionEventSchema = new mongoose.Schema({
+    eventId: { type: String, required: true, unique: true }, // Generated by the client, so a batch sent twice is stored once
+    participantId: { type: String, required: true },
+    sessionId: String, // One page load on the participant screen
+    seq: Number, // Order within the page load
+    type: { type: String, enum: EVENT_TYPES, required: true },
+    artefactId: String,
+    artefact: String, // Title, as in Thread.artefactInteractions
+    profile: String,
+    descriptionType: String,
+    condition: String,
+    deliveryMode: { type: String, enum: ["Text-Based", "Auditory"] },
+    generationMode: String,
+    language: String,
+    data: mongoose.Schema.Types.Mixed, // Type-specific details, e.g. { moreInfo: true } for narration of "Tell Me More" text
+    clientTimestamp: Date,
+    serverTimestamp: { type: Date, default: Date.now }
+});
+
+interactionEventSchema.index({ participantId: 1, clientTimestamp: 1, seq: 1 });
+
+const InteractionEvent = mongoose.model("InteractionEvent", interactionEventSchema);
+
+export default InteractionEvent;
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+
+// Result of the factual-fidelity check on a generated adaptation (see lib/fidelity.js)
+export const fidelitySchema = new mongoose.Schema({
+    verdict: { type: String, enum: ["pass", "fail"] },
+    unsupported: [{
+        _id: false,
+        type: { type: String }, // year, decade, century, number, place or name
+        value: String
+    }],
+    attempt: Number,
+    accepted: Boolean, // false when the adaptation was rejected and not shown
+    checkedAt: Date
+}, { _id: false });
+
+// Counterbalanced condition per artefact, assigned by the server (see lib/studyDesign.js)
+const assignmentSchema = new mongoose.Schema({
+    design: String,
+    seed: String,
+    participantIndex: Number,
+    row: Number,
+    artefacts: [{
+        _id: false,
+        artefactId: String,
+        title: String,
+        condition: String,
+        descriptionType: String,
+        deliveryMode: { type: String, enum: ["Text-Based", "Auditory"] },
+        // Prompt template versions the condition asks for; templates not listed use their current version
+        prompts: { adaptation: String, adaptationRetry: String, moreInfo: String, question: String }
+    }],
+    assignedAt: Date
+}, { _id: false });
+
+// Post-visit questionnaire answers, validated against config/questionnaire.json (see lib/questionnaire.js)
+const questionnaireSchema = new mongoose.Schema({
+    questionnaireId: String,
+    language: String,
+    answers: [{
+        _id: false,
+        instrument: String,
+        item: String,
+        artefactId: String, // Only for per-artefact ratings
+        score: Number,
+        text: String // Free-text answers
+    }],
+    submittedAt: Date
+}, { _id: false });
+
+const threadSchema = new mongoose.Schema({
+    threadId: String,
+    participantId: String,
+    session: {
+        tokenHash: String, // SHA-256 of the resumable session token (see lib/sessions.js), removed when the session ends
+        createdAt: Date,
+        lastSeenAt: Date
+    },
+    // Profiling quiz as answered so far: option index per question index. The result is set once the quiz
+    // is finished (see lib/quiz.js).
+    quiz: {
+        answers: [{ _id: false, question: Number, option: Number }],
+        deliveryPreference: { type: String, enum: ["Text-Based", "Auditory"] },
+        quizId: String, // config/quiz.json "id" the answers refer to
+        mode: { type: String, enum: ["single", "blended"] },
+        scores: [{ _id: false, profile: String, score: Number }], // Every profile, in the order of VISITOR_PROFILES
+        tieBreaks: [{
+            _id: false,
+            strategy: { type: String, enum: ["question", "random"] },
+            score: Number,
+            tiedProfiles: [String],
+            chosen: String,
+            option: Number // Tie-break question option the visitor picked
+        }],
+        profiles: [String], // Assigned profiles, strongest first; two in blended mode
+        profile: String, // profiles[0]
+        completedAt: Date
+    },
+    provider: String, // LLM provider that owns threadId
+    language: String, // Language chosen on the participant screen, see lib/languages.js
+    createdAt: { type: Date, default: Date.now },
+    messages: [{
+        role: String,
+        content: String,
+        timestamp: Date,
+        source: String, // "cache" when a cached adaptation was reused instead of generated
+        promptTemplate: String, // Template and version the prompt was rendered from, see config/prompts.json
+        promptVersion: String,
+        model: String, // Model that wrote the answer, when the provider reports it
+        assistantId: String, // Assistants provider only
+        fidelity: fidelitySchema
+    }],
+    assignment: assignmentSchema,
+    artefactInteractions: [{
+        artefact: String,
+        descriptionType: String,
+        condition: String, // Study condition id, may differ from descriptionType (e.g. "Adapted+Audio")
+        profile: String,
+        timeSpentSeconds: { type: Number, default: 0 },
+        tellMeMoreClicked: { type: Number, default: 0 },
+        questionsAsked: { type: Number, default: 0 }, // Questions sent from the artefact's chat panel
+        entrySource: String, // How the artefact was first opened: "grid", "qr" (printed QR code) or "link"
+        deliveryMode: { type: String, enum: ["Text-Based", "Auditory"], required: true },
+        playedAudio: { type: String, enum: ["Yes", "No"], default: "No" },
+        narrationRate: Number, // Playback speed last used for the narration, e.g. 1.25
+        narrationVoice: String, // TTS voice last used for the narration, see TTS_VOICES in lib/tts.js
+        narrationSeeks: { type: Number, default: 0 }, // Sentences tapped to jump the narration to
+        generationMode: String, // How the shown description was produced, see lib/adaptationCache.js
+        timestamp: { type: Date, default: Date.now }
+    }],
+    // Visitor questions from the chat panel on the artefact page and the answers given
+    artefactQuestions: [{
+        artefact: String,
+        descriptionType: String,
+        condition: String,
+        profile: String,
+        question: String,
+        answer: String,
+        language: String,
+        timestamp: { type: Date, default: Date.now }
+    }],
+    generationFailures: [{
+        kind: String, // "description" or "more-info"
+        artefact: String,
+        profile: String,
+        reason: String, // See FAILURE_REASONS in lib/llm/errors.js
+        message: String,
+        provider: String,
+        runId: String,
+        timestamp: { type: Date, default: Date.now }
+    }],
+    questionnaire: questionnaireSchema,
+    // Set by `npm run sync -- --renumber` when the offline participant ID was already taken in MongoDB
+    importedFrom: {
+        participantId: String,
+        source: String, // STORAGE_DIR the thread was synced from
+        importedAt: Date
+    }
+});
+
+threadSchema.index({ "session.tokenHash": 1 }, { sparse: true });
+threadSchema.index({ participantId: 1 }, { unique: true }); // Two requests can't both create a participant's thread
+
+const Thread = mongoose.model("Thread", threadSchema);
+
+export default Thread;
@@ -0,0 +1,121 @@
+/* Kiosk mode: keeps the participant screen usable when the museum Wi-Fi drops.
+   The page shell is cached on install; artefact images and narration audio with its timings are cached on first use and
+   ahead of the visit from GET /api/offline/manifest (see startKioskMode() in Index.html). */
+
+const SHELL_CACHE = "kiosk-shell-v7"; // Bump when the shell files below change
+const DATA_CACHE = "kiosk-data"; // Images, narration and API responses, kept across shell versions
+const SHELL_FILES = ["/", "/Index.html", "/styling.css", "/favicon.ico", "/apple-touch-icon.png", "/manifest.webmanifest"];
+
+// GET API responses used from the network while it answers in time, otherwise from the cache
+const DATA_PATHS = ["/api/artefacts", "/api/quiz", "/api/questionnaire"];
+const NETWORK_TIMEOUT_MS = 4000;
+
+self.addEventListener("install", event => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE && key !== DATA_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// { type: "precache", urls } from the page: download what isn't cached yet. Failures are left for the next visit.
+self.addEventListener("message", event => {
+    if (event.data?.type !== "precache") return;
+
+    event.waitUntil((async () => {
+        const cache = await caches.open(DATA_CACHE);
+
+        for (const url of event.data.urls) {
+            if (await cache.match(url)) continue;
+
+            try {
+                const response = await fetch(url);
+                if (response.ok) await cache.put(url, response);
+            } catch (error) {
+                console.warn("⚠️ Could not pre-download:", url, error);
+            }
+        }
+    })());
+});
+
+self.addEventListener("fetch", event => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    const { pathname } = new URL(request.url);
+
+    if (pathname.startsWith("/tts/")) {
+        event.respondWith(cachedAudio(request));
+    } else if (pathname.startsWith("/artefacts/")) {
+        event.respondWith(cacheFirst(request));
+    } else if (DATA_PATHS.includes(pathname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (request.mode === "navigate" || SHELL_FILES.includes(pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreVary: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) (await caches.open(DATA_CACHE)).put(request, response.clone());
+    return response;
+}
+
+// Fresh when the network answers in time, so changes reach the kiosk; the cached copy otherwise
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+
+    // Deep links like /artefact/cookbook are the same page
+    let cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+    if (!cached && request.mode === "navigate") cached = await cache.match("/");
+    if (!cached) return network;
+
+    const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS));
+    return Promise.race([network.catch(() => cached), timeout]);
+}
+
+// Narration files never change once written (see lib/tts.js). Audio elements ask for byte ranges, which the
+// cache can't store, so the whole file is cached and the range is cut from it.
+async function cachedAudio(request) {
+    const cache = await caches.open(DATA_CACHE);
+    let response = await cache.match(request.url);
+
+    if (!response) {
+        response = await fetch(request.url);
+        if (!response.ok) return response;
+        await cache.put(request.url, response.clone());
+    }
+
+    const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("Range") || "");
+    if (!range) return response;
+
+    const audio = await response.arrayBuffer();
+    const start = range[1] ? Number(range[1]) : Math.max(audio.byteLength - Number(range[2]), 0);
+    const end = range[1] && range[2] ? Math.min(Number(range[2]), audio.byteLength - 1) : audio.byteLength - 1;
+
+    if (start > end) {
+        return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${audio.byteLength}` } });
+    }
+
+    return new Response(audio.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            "Content-Type": response.headers.get("Content-Type") || "audio/mpeg",
+            "Content-Range": `bytes ${start}-${end}/${audio.byteLength}`,
+            "Content-Length": String(end - start + 1)
+        }
+    });
+}
+
+/* Developed by Harun Hurtic as part of his Master's Thesis at the Norwegian University of Science and Technology (NTNU) */
@@ -0,0 +1,214 @@
+import express from "express";
+import fs from "fs/promises";
+import path from "path";
+import storage from "../lib/storage/index.js";
+import { requireAdmin } from "../lib/auth.js";
+import { VISITOR_PROFILES } from "../lib/profiles.js";
+import { RequestError } from "../lib/errors.js";
+import { DEFAULT_LANGUAGE, LANGUAGE_CODES } from "../lib/languages.js";
+import { QR_SHEET_FORMATS, artefactLink, renderQRSheetPDF, renderQRSheetSVG } from "../lib/qrSheet.js";
+
+const EDITABLE_FIELDS = ["title", "image", "order", "originalDescription", "generalDescription", "profileDescriptions", "translations"];
+
+const IMAGE_EXTENSIONS = {
+    "image/webp": "webp",
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/gif": "gif"
+};
+
+function checkProfileDescriptions(profileDescriptions, field) {
+    if (typeof profileDescriptions !== "object" || profileDescriptions === null) {
+        throw new RequestError(`${field} must be an object keyed by visitor profile.`);
+    }
+
+    const unknownProfiles = Object.keys(profileDescriptions).filter(profile => !VISITOR_PROFILES.includes(profile));
+    if (unknownProfiles.length > 0) {
+        throw new RequestError(`Unknown visitor profile(s): ${unknownProfiles.join(", ")}`);
+    }
+}
+
+// Copy only the fields an admin is allowed to set, and reject unknown profile variants and languages
+function pickArtefactFields(body) {
+    const fields = {};
+
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+
+    if (fields.profileDescriptions !== undefined) {
+        checkProfileDescriptions(fields.profileDescriptions, "profileDescriptions");
+    }
+
+    if (fields.translations !== undefined) {
+        if (typeof fields.translations !== "object" || fields.translations === null) {
+            throw new RequestError("translations must be an object keyed by language code.");
+        }
+
+        Object.entries(fields.translations).forEach(([language, translation]) => {
+            if (!LANGUAGE_CODES.includes(language) || language === DEFAULT_LANGUAGE) {
+                throw new RequestError(`Unsupported translation language "${language}". Expected one of: ${LANGUAGE_CODES.filter(code => code !== DEFAULT_LANGUAGE).join(", ")}`);
+            }
+            if (translation?.profileDescriptions !== undefined) {
+                checkProfileDescriptions(translation.profileDescriptions, `translations.${language}.profileDescriptions`);
+            }
+        });
+    }
+
+    return fields;
+}
+
+// Map validation and duplicate-key errors to 4xx responses, everything else to 500
+function sendError(res, error, fallbackMessage) {
+    if (error instanceof RequestError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+
+    if (error.name === "ValidationError") {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (error.code === 11000) {
+        return res.status(409).json({ error: "An artefact with this artefactId already exists." });
+    }
+
+    console.error(`❌ ${fallbackMessage}`, error);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+// The address the QR codes point to: ?baseUrl=, else PUBLIC_URL, else the address the request came in on
+function qrBaseUrl(req, publicUrl) {
+    const baseUrl = req.query.baseUrl || publicUrl || `${req.protocol}://${req.get("host")}`;
+
+    if (!/^https?:\/\/[^\s/]+/.test(baseUrl)) {
+        throw new RequestError("\"baseUrl\" must be an http or https address, e.g. https://museum.example.org.");
+    }
+    return baseUrl;
+}
+
+// REST API for the artefact catalogue. Reading is public, changes require the admin token.
+export function createArtefactRouter({ imageDir, publicUrl }) {
+    const router = express.Router();
+
+    router.get("/", async (req, res) => {
+        try {
+            const artefacts = await storage.artefacts.list();
+            res.json({ artefacts });
+        } catch (error) {
+            sendError(res, error, "Failed to fetch artefacts.");
+        }
+    });
+
+    // Printable QR codes for every artefact, linking to /artefact/:artefactId on the participant screen
+    router.get("/qr-codes.:format", requireAdmin, async (req, res) => {
+        const { format } = req.params;
+        if (!QR_SHEET_FORMATS.includes(format)) {
+            return res.status(404).json({ error: `Unknown format "${format}". Expected one of: ${QR_SHEET_FORMATS.join(", ")}` });
+        }
+
+        try {
+            const baseUrl = qrBaseUrl(req, publicUrl);
+            const entries = (await storage.artefacts.list()).map(artefact => ({
+                title: artefact.title,
+                url: artefactLink(baseUrl, artefact.artefactId)
+            }));
+
+            res.set("Content-Disposition", `inline; filename="artefact-qr-codes.${format}"`);
+            if (format === "pdf") {
+                res.type("application/pdf").send(renderQRSheetPDF(entries));
+            } else {
+                res.type("image/svg+xml").send(renderQRSheetSVG(entries));
+            }
+            console.log(`🔳 Generated QR codes for ${entries.length} artefacts (${format}, ${baseUrl})`);
+        } catch (error) {
+            sendError(res, error, "Failed to generate the QR codes.");
+        }
+    });
+
+    router.get("/:artefactId", async (req, res) => {
+        try {
+            const artefact = await storage.artefacts.find(req.params.artefactId);
+            if (!artefact) return res.status(404).json({ error: "Artefact not found." });
+
+            res.json({ artefact });
+        } catch (error) {
+            sendError(res, error, "Failed to fetch artefact.");
+        }
+    });
+
+    router.post("/", requireAdmin, async (req, res) => {
+        try {
+            const artefact = storage.artefacts.build({ artefactId: req.body.artefactId, ...pickArtefactFields(req.body) });
+            await storage.artefacts.save(artefact);
+
+            console.log(`✅ Created artefact: ${artefact.artefactId}`);
+            res.status(201).json({ artefact });
+        } catch (error) {
+            sendError(res, error, "Failed to create artefact.");
+        }
+    });
+
+    router.put("/:artefactId", requireAdmin, async (req, res) => {
+        try {
+            const artefact = await storage.artefacts.find(req.params.artefactId);
+            if (!artefact) return res.status(404).json({ error: "Artefact not found." });
+
+            artefact.set(pickArtefactFields(req.body));
+            await storage.artefacts.save(artefact);
+
+            console.log(`✅ Updated artefact: ${artefact.artefactId}`);
+            res.json({ artefact });
+        } catch (error) {
+            sendError(res, error, "Failed to update artefact.");
+        }
+    });
+
+    router.delete("/:artefactId", requireAdmin, async (req, res) => {
+        try {
+            const artefact = await storage.artefacts.remove(req.params.artefactId);
+            if (!artefact) return res.status(404).json({ error: "Artefact not found." });
+
+            // Only remove images that were uploaded through this API (named after the artefact)
+            if (artefact.image && path.basename(artefact.image).startsWith(`${artefact.artefactId}.`)) {
+                await fs.rm(path.join(imageDir, path.basename(artefact.image)), { force: true });
+            }
+
+            console.log(`🗑️ Deleted artefact: ${artefact.artefactId}`);
+            res.json({ message: "Artefact deleted." });
+        } catch (error) {
+            sendError(res, error, "Failed to delete artefact.");
+        }
+    });
+
+    // Upload the artefact image as the raw request body, e.g. "Content-Type: image/webp"
+    router.put("/:artefactId/image", requireAdmin, express.raw({ type: "image/*", limit: "10mb" }), async (req, res) => {
+        const extension = IMAGE_EXTENSIONS[(req.get("Content-Type") || "").split(";")[0].trim()];
+
+        if (!extension) {
+            return res.status(415).json({ error: `Unsupported image type. Use one of: ${Object.keys(IMAGE_EXTENSIONS).join(", ")}` });
+        }
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: "Missing image data." });
+        }
+
+        try {
+            const artefact = await storage.artefacts.find(req.params.artefactId);
+            if (!artefact) return res.status(404).json({ error: "Artefact not found." });
+
+            const fileName = `${artefact.artefactId}.${extension}`;
+            await fs.mkdir(imageDir, { recursive: true });
+            await fs.writeFile(path.join(imageDir, fileName), req.body);
+
+            artefact.image = `artefacts/${fileName}`;
+            await storage.artefacts.save(artefact);
+
+            console.log(`🖼️ Uploaded image for artefact: ${artefact.artefactId}`);
+            res.json({ artefact });
+        } catch (error) {
+            sendError(res, error, "Failed to upload artefact image.");
+        }
+    });
+
+    return router;
+}
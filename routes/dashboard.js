@@ -0,0 +1,121 @@
+import express from "express";
+import storage from "../lib/storage/index.js";
+import { requireAdmin } from "../lib/auth.js";
+import { buildEntryMatch, buildThreadQuery, parseFilters } from "../lib/filters.js";
+
+// Breakdowns shown on the dashboard, each grouping the artefact interactions by one field
+const BREAKDOWNS = {
+    byDescriptionType: "descriptionType",
+    byCondition: "condition",
+    byProfile: "profile",
+    byArtefact: "artefact"
+};
+
+function median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function ratio(count, total) {
+    return total > 0 ? count / total : null;
+}
+
+// Groups from storage.threads.groupInteractions hold the sums; rates and the median are worked out here
+function summarizeGroup(group) {
+    return {
+        key: group._id ?? null,
+        participants: group.participants.length,
+        interactions: group.interactions,
+        meanTimeSeconds: group.meanTimeSeconds,
+        medianTimeSeconds: median(group.times),
+        tellMeMoreRate: ratio(group.withTellMeMore, group.interactions), // Share of interactions with at least one "Tell Me More"
+        meanTellMeMoreClicks: ratio(group.tellMeMoreClicks, group.interactions),
+        audioPlayedRatio: ratio(group.playedAudio, group.auditory) // Among interactions in auditory delivery
+    };
+}
+
+// Participants per row of the current counterbalancing design. Rows below the fullest row still need participants.
+async function counterbalancingCoverage(studyDesign) {
+    const counts = await Promise.all(studyDesign.rows.map((row, index) => storage.threads.count({
+        "assignment.design": studyDesign.design,
+        "assignment.seed": studyDesign.seed,
+        "assignment.row": index
+    })));
+
+    const rows = studyDesign.rows.map((row, index) => ({
+        row: index,
+        conditions: row.map(column => studyDesign.conditions[column].id),
+        participants: counts[index]
+    }));
+
+    const target = Math.max(...rows.map(row => row.participants));
+    const needed = rows.every(row => row.participants === target)
+        ? rows.map(row => row.row) // Every row is even, the next round starts with all of them
+        : rows.filter(row => row.participants < target).map(row => row.row);
+
+    // Participants assigned under an earlier design or seed don't count towards the current rows
+    const otherAssignments = await storage.threads.count({
+        assignment: { $exists: true },
+        $nor: [{ "assignment.design": studyDesign.design, "assignment.seed": studyDesign.seed }]
+    });
+
+    return { design: studyDesign.design, rows, rowsNeedingParticipants: needed, otherAssignments };
+}
+
+// Aggregates for the researcher dashboard (public/dashboard.html), computed by the storage on every request
+export function createDashboardRouter({ studyDesign, accessMonitor }) {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+
+    // Accepts the same filters as the exports (see lib/filters.js)
+    router.get("/summary", async (req, res) => {
+        let filters;
+        try {
+            filters = parseFilters(req.query);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            const threadQuery = buildThreadQuery(filters);
+            const entryMatch = buildEntryMatch(filters);
+
+            const groups = await storage.threads.groupInteractions(threadQuery, entryMatch, { overall: null, ...BREAKDOWNS });
+
+            const [assigned, questionnaireCompleted, coverage] = await Promise.all([
+                storage.threads.count({ ...threadQuery, assignment: { $exists: true } }),
+                storage.threads.count({ ...threadQuery, "questionnaire.submittedAt": { $exists: true } }),
+                counterbalancingCoverage(studyDesign)
+            ]);
+
+            const overall = groups.overall[0] ? summarizeGroup(groups.overall[0]) : null;
+
+            res.json({
+                generatedAt: new Date(),
+                filters: req.query,
+                participants: {
+                    assigned,
+                    withInteractions: overall?.participants || 0,
+                    questionnaireCompleted
+                },
+                overall,
+                ...Object.fromEntries(Object.keys(BREAKDOWNS).map(name => [name, groups[name].map(summarizeGroup)])),
+                coverage
+            });
+        } catch (error) {
+            console.error("❌ Error building dashboard summary:", error);
+            res.status(500).json({ error: "Failed to build the dashboard summary." });
+        }
+    });
+
+    // Usage and rejections of the OpenAI-backed routes since the server started (see lib/accessControl.js)
+    router.get("/access", (req, res) => {
+        res.json(accessMonitor ? accessMonitor.report() : { startedAt: null, kinds: {} });
+    });
+
+    return router;
+}
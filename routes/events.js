@@ -0,0 +1,75 @@
+import express from "express";
+import storage from "../lib/storage/index.js";
+import { requireParticipantSession } from "../lib/sessions.js";
+import { deriveInteractions, validateEvents } from "../lib/events.js";
+
+// navigator.sendBeacon posts strings as text/plain, which also avoids a CORS preflight
+function parseBody(body) {
+    if (typeof body !== "string") return body || {};
+
+    try {
+        return JSON.parse(body);
+    } catch {
+        return {};
+    }
+}
+
+// Batched interaction event log: POST /api/events, for the participant session's thread. The per-artefact
+// counters in Thread.artefactInteractions are rebuilt from the whole log after every batch.
+export function createEventRouter({ generationMode }) {
+    const router = express.Router();
+
+    const parseBeacon = (req, res, next) => {
+        req.body = parseBody(req.body);
+        next();
+    };
+
+    router.post("/", express.text({ type: "text/plain" }), parseBeacon, requireParticipantSession, async (req, res) => {
+        const { events } = req.body;
+        const thread = req.thread;
+        const { participantId } = thread;
+
+        let validEvents;
+        try {
+            validEvents = validateEvents(events, { artefactIds: thread.assignment?.artefacts.map(entry => entry.artefactId) });
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        try {
+            const serverTimestamp = new Date();
+
+            // The server-side assignment and quiz are authoritative for the artefact's condition and the
+            // profile; a condition without a fixed delivery mode uses the one the visitor chose. Events
+            // already stored from an earlier attempt at the same batch are skipped.
+            const stored = await storage.events.append(validEvents.map(event => {
+                const assigned = thread.assignment?.artefacts.find(entry => entry.artefactId === event.artefactId);
+
+                return {
+                    ...event,
+                    participantId,
+                    artefact: assigned?.title,
+                    descriptionType: assigned?.descriptionType,
+                    condition: assigned?.condition,
+                    profile: thread.quiz?.profile,
+                    deliveryMode: assigned?.deliveryMode || event.deliveryMode,
+                    generationMode,
+                    language: thread.language,
+                    clientTimestamp: event.clientTimestamp || serverTimestamp,
+                    serverTimestamp
+                };
+            }));
+
+            thread.artefactInteractions = deriveInteractions(await storage.events.listForParticipant(participantId));
+            await storage.threads.save(thread);
+
+            console.log(`🧾 Logged ${stored} of ${validEvents.length} events for Participant: ${participantId}`);
+            res.status(202).json({ received: validEvents.length, stored });
+        } catch (error) {
+            console.error("❌ Error logging events:", error);
+            res.status(500).json({ error: "Failed to log events." });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,359 @@
+import express from "express";
+import { once } from "events";
+import storage from "../lib/storage/index.js";
+import { requireAdmin } from "../lib/auth.js";
+import { DEFAULT_LANGUAGE } from "../lib/languages.js";
+import { VISITOR_PROFILES } from "../lib/profiles.js";
+import { buildEntryMatch, buildThreadQuery, entryMatches, parseFilters } from "../lib/filters.js";
+
+// One CSV row per artefact interaction, ready for R or SPSS
+const INTERACTION_COLUMNS = [
+    "participantId",
+    "artefact",
+    "descriptionType",
+    "condition",
+    "profile",
+    "timeSpentSeconds",
+    "tellMeMoreClicked",
+    "questionsAsked",
+    "entrySource",
+    "deliveryMode",
+    "playedAudio",
+    "narrationRate",
+    "narrationVoice",
+    "narrationSeeks",
+    "generationMode",
+    "language",
+    "timestamp"
+];
+
+// One CSV row per question asked in the chat panel on the artefact page, with the answer given
+const QUESTION_COLUMNS = [
+    "participantId",
+    "artefact",
+    "descriptionType",
+    "condition",
+    "profile",
+    "question",
+    "answer",
+    "language",
+    "timestamp"
+];
+
+// One CSV row per failed generation, with the reason from lib/llm/errors.js
+const FAILURE_COLUMNS = [
+    "participantId",
+    "kind",
+    "artefact",
+    "profile",
+    "reason",
+    "message",
+    "provider",
+    "runId",
+    "timestamp"
+];
+
+// One CSV row per thread message, with the prompt template version and the model behind it (see config/prompts.json)
+const MESSAGE_COLUMNS = [
+    "participantId",
+    "role",
+    "source",
+    "promptTemplate",
+    "promptVersion",
+    "model",
+    "assistantId",
+    "fidelityVerdict",
+    "language",
+    "timestamp",
+    "content"
+];
+
+// One CSV row per logged interaction event, in the order they happened per participant
+const EVENT_COLUMNS = [
+    "participantId",
+    "sessionId",
+    "seq",
+    "type",
+    "artefactId",
+    "artefact",
+    "profile",
+    "descriptionType",
+    "condition",
+    "deliveryMode",
+    "generationMode",
+    "language",
+    "data",
+    "clientTimestamp",
+    "serverTimestamp"
+];
+
+// One CSV row per questionnaire answer (long format); artefactId is only set for per-artefact ratings
+const QUESTIONNAIRE_COLUMNS = [
+    "participantId",
+    "questionnaireId",
+    "instrument",
+    "item",
+    "artefactId",
+    "score",
+    "text",
+    "language",
+    "submittedAt"
+];
+
+// One CSV row per finished profiling quiz, with the full score vector (one column per profile, e.g.
+// "scoreProfessionalHobbyist") and how a tie was settled; tiedProfiles and tieBreakChoices are separated by "|"
+const QUIZ_SCORE_COLUMNS = VISITOR_PROFILES.map(profile => `score${profile.replace(/[^A-Za-z]/g, "")}`);
+const QUIZ_COLUMNS = [
+    "participantId",
+    "quizId",
+    "mode",
+    "profile",
+    "secondaryProfile",
+    ...QUIZ_SCORE_COLUMNS,
+    "tieBreakStrategy",
+    "tiedProfiles",
+    "tieBreakChoices",
+    "deliveryPreference",
+    "language",
+    "completedAt"
+];
+
+// Text cells starting like a formula (e.g. a participant's question "=HYPERLINK(...)") get a leading ' so
+// spreadsheets show them as text instead of running them
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function toCSVValue(value) {
+    if (value === null || value === undefined) return "";
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSVRow(values) {
+    return values.map(toCSVValue).join(",") + "\r\n";
+}
+
+// Write to the response and wait when the client is slower than the database
+async function write(res, chunk) {
+    if (!res.write(chunk)) await once(res, "drain");
+}
+
+function exportFileName(name, extension) {
+    return `${name}-${new Date().toISOString().replace(/[:.]/g, "-")}.${extension}`;
+}
+
+// Stream every document from the cursor through writeDocument, closing the cursor if the client goes away
+async function streamCursor(req, res, cursor, writeDocument) {
+    req.on("close", () => cursor.close().catch(() => { }));
+
+    for await (const document of cursor) {
+        if (res.destroyed) break;
+        await writeDocument(document);
+    }
+}
+
+function streamThreads(req, res, query, writeDocument) {
+    return streamCursor(req, res, storage.threads.stream(query), writeDocument);
+}
+
+// The session token hash is an internal of the live session, so only the session times are exported
+function withoutSessionToken(row) {
+    if (!row.session) return row;
+
+    const { session, ...exported } = row;
+    return { ...exported, session: { createdAt: session.createdAt, lastSeenAt: session.lastSeenAt } };
+}
+
+// Every export goes through here: filters, download headers, CSV (with the formula guard) or JSON
+// serialization and the session token stripping. rows({ filters, emit }) calls emit(row) for each row;
+// columns pick the CSV columns, and JSON exports write the rows whole under `key`.
+async function sendExport(req, res, { name, label, format = "csv", columns, key, filters: adjustFilters = filters => filters, rows }) {
+    let filters;
+    try {
+        filters = adjustFilters(parseFilters(req.query));
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    res.set({
+        "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${exportFileName(name, format)}"`,
+        "Cache-Control": "no-store"
+    });
+
+    try {
+        await write(res, format === "csv"
+            ? toCSVRow(columns)
+            : `{"exportedAt":${JSON.stringify(new Date())},"filters":${JSON.stringify(req.query)},"${key}":[`);
+
+        let rowCount = 0;
+        const emit = async row => {
+            const exported = withoutSessionToken(row);
+            await write(res, format === "csv"
+                ? toCSVRow(columns.map(column => exported[column]))
+                : (rowCount > 0 ? ",\n" : "\n") + JSON.stringify(exported));
+            rowCount++;
+        };
+
+        await rows({ filters, emit });
+
+        if (format === "json") await write(res, "\n]}\n");
+        console.log(`📤 Exported ${rowCount} ${label} as ${format.toUpperCase()}`);
+        res.end();
+    } catch (error) {
+        console.error(`❌ Error exporting ${label}:`, error);
+        res.destroy(error); // Headers are already sent, so abort the download instead of sending a partial file
+    }
+}
+
+// Researcher data exports, streamed straight from the storage instead of writing temp files
+export function createExportRouter() {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+
+    router.get("/interactions.csv", (req, res) => sendExport(req, res, {
+        name: "artefact-interactions",
+        label: "artefact interactions",
+        columns: INTERACTION_COLUMNS,
+        rows: ({ filters, emit }) => streamThreads(req, res, buildThreadQuery(filters), async thread => {
+            for (const interaction of thread.artefactInteractions || []) {
+                if (entryMatches(interaction, filters)) {
+                    await emit({ ...interaction, participantId: thread.participantId, language: thread.language || DEFAULT_LANGUAGE });
+                }
+            }
+        })
+    }));
+
+    router.get("/questions.csv", (req, res) => sendExport(req, res, {
+        name: "artefact-questions",
+        label: "artefact questions",
+        columns: QUESTION_COLUMNS,
+        rows: ({ filters, emit }) => {
+            const query = { ...buildThreadQuery(filters, "artefactQuestions"), "artefactQuestions.0": { $exists: true } };
+            return streamThreads(req, res, query, async thread => {
+                for (const entry of thread.artefactQuestions) {
+                    if (entryMatches(entry, filters)) await emit({ ...entry, participantId: thread.participantId });
+                }
+            });
+        }
+    }));
+
+    router.get("/events.csv", (req, res) => sendExport(req, res, {
+        name: "interaction-events",
+        label: "interaction events",
+        columns: EVENT_COLUMNS,
+        rows: ({ filters, emit }) => {
+            // ?from= and ?to= apply to the server time, which doesn't depend on the participant's device clock
+            const { timestamp, ...query } = buildEntryMatch(filters);
+            if (timestamp) query.serverTimestamp = timestamp;
+            if (filters.language) query.language = filters.language === DEFAULT_LANGUAGE ? { $in: [filters.language, null] } : filters.language;
+
+            return streamCursor(req, res, storage.events.stream(query), event => emit({ ...event, data: event.data ? JSON.stringify(event.data) : null }));
+        }
+    }));
+
+    router.get("/failures.csv", (req, res) => sendExport(req, res, {
+        name: "generation-failures",
+        label: "generation failures",
+        columns: FAILURE_COLUMNS,
+        filters: filters => ({ ...filters, condition: null }),
+        rows: ({ filters, emit }) => {
+            const query = { ...buildThreadQuery(filters, "generationFailures"), "generationFailures.0": { $exists: true } };
+            return streamThreads(req, res, query, async thread => {
+                for (const failure of thread.generationFailures) {
+                    if (entryMatches(failure, filters)) await emit({ ...failure, participantId: thread.participantId });
+                }
+            });
+        }
+    }));
+
+    router.get("/messages.csv", (req, res) => sendExport(req, res, {
+        name: "thread-messages",
+        label: "thread messages",
+        columns: MESSAGE_COLUMNS,
+        filters: filters => ({ ...filters, profile: null, condition: null }),
+        rows: ({ filters, emit }) => {
+            const query = { ...buildThreadQuery(filters, "messages"), "messages.0": { $exists: true } };
+            return streamThreads(req, res, query, async thread => {
+                for (const message of thread.messages) {
+                    if (entryMatches(message, filters)) {
+                        await emit({ ...message, participantId: thread.participantId, fidelityVerdict: message.fidelity?.verdict, language: thread.language || DEFAULT_LANGUAGE });
+                    }
+                }
+            });
+        }
+    }));
+
+    router.get("/questionnaire.csv", (req, res) => sendExport(req, res, {
+        name: "questionnaire",
+        label: "questionnaire answers",
+        columns: QUESTIONNAIRE_COLUMNS,
+        rows: ({ filters, emit }) => {
+            // Answers have no timestamp of their own, so ?from= and ?to= apply to the submission time
+            const query = { "questionnaire.submittedAt": { $exists: true } };
+            if (filters.from) query["questionnaire.submittedAt"].$gte = filters.from;
+            if (filters.to) query["questionnaire.submittedAt"].$lte = filters.to;
+            if (filters.language) query["questionnaire.language"] = filters.language;
+
+            // Profile and condition are per artefact, so they filter the participants who saw at least one match
+            if (filters.profile || filters.condition) {
+                Object.assign(query, buildThreadQuery({ profile: filters.profile, condition: filters.condition }));
+            }
+
+            return streamThreads(req, res, query, async thread => {
+                const { questionnaireId, language, submittedAt, answers } = thread.questionnaire;
+
+                for (const answer of answers) {
+                    await emit({ ...answer, participantId: thread.participantId, questionnaireId, language, submittedAt });
+                }
+            });
+        }
+    }));
+
+    router.get("/quiz.csv", (req, res) => sendExport(req, res, {
+        name: "quiz",
+        label: "quiz results",
+        columns: QUIZ_COLUMNS,
+        rows: ({ filters, emit }) => {
+            // ?from= and ?to= apply to when the quiz was finished; ?profile= to the assigned profile
+            const query = { "quiz.completedAt": { $exists: true } };
+            if (filters.from) query["quiz.completedAt"].$gte = filters.from;
+            if (filters.to) query["quiz.completedAt"].$lte = filters.to;
+            if (filters.language) query.language = filters.language;
+            if (filters.profile) query["quiz.profile"] = filters.profile;
+
+            return streamThreads(req, res, query, thread => {
+                const { quiz } = thread;
+                const scores = Object.fromEntries((quiz.scores || []).map(entry => [entry.profile, entry.score]));
+                const tieBreaks = quiz.tieBreaks || [];
+
+                return emit({
+                    participantId: thread.participantId,
+                    quizId: quiz.quizId,
+                    mode: quiz.mode,
+                    profile: quiz.profile,
+                    secondaryProfile: quiz.profiles?.[1],
+                    ...Object.fromEntries(VISITOR_PROFILES.map((profile, index) => [QUIZ_SCORE_COLUMNS[index], scores[profile]])),
+                    tieBreakStrategy: tieBreaks[0]?.strategy,
+                    tiedProfiles: [...new Set(tieBreaks.flatMap(tieBreak => tieBreak.tiedProfiles))].join("|"),
+                    tieBreakChoices: tieBreaks.map(tieBreak => tieBreak.chosen).join("|"),
+                    deliveryPreference: quiz.deliveryPreference,
+                    language: thread.language,
+                    completedAt: quiz.completedAt
+                });
+            });
+        }
+    }));
+
+    router.get("/threads.json", (req, res) => sendExport(req, res, {
+        name: "threads",
+        label: "threads",
+        format: "json",
+        key: "threads",
+        rows: ({ filters, emit }) => streamThreads(req, res, buildThreadQuery(filters), emit)
+    }));
+
+    return router;
+}
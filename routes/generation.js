@@ -0,0 +1,358 @@
+import express from "express";
+import { buildAdaptationPrompt, buildMoreInfoPrompt, buildQuestionPrompt, resolvePromptVersions } from "../lib/prompts.js";
+import { generateFaithfulAdaptation, validateFidelityConfig } from "../lib/fidelity.js";
+import { findCachedAdaptation, storeAdaptation } from "../lib/adaptationCache.js";
+import { findOrCreateParticipantThread, getOrCreateThread, generateForThread, recordGenerationFailure } from "../lib/threads.js";
+import { openEventStream, signalOnDisconnect } from "../lib/sse.js";
+import { GenerationError } from "../lib/llm/errors.js";
+import { DEFAULT_LANGUAGE, resolveLanguage } from "../lib/languages.js";
+import { VISITOR_PROFILES, profileLabel } from "../lib/profiles.js";
+import { originalDescriptionFor, requireServerText } from "../lib/serverTexts.js";
+import { createAccessMonitor, createRouteGuards, limitLength, loadAccessLimits } from "../lib/accessControl.js";
+import storage from "../lib/storage/index.js";
+
+// Shown to the visitor when generation fails, in their language
+const FALLBACK_TEXT = {
+    en: {
+        description: "Adaptation failed. However, here's the original description:",
+        moreInfo: "Failed to fetch additional information.",
+        question: "The question couldn't be answered right now. Please try again."
+    },
+    nb: {
+        description: "Tilpasningen mislyktes. Her er likevel den opprinnelige beskrivelsen:",
+        moreInfo: "Kunne ikke hente mer informasjon.",
+        question: "Spørsmålet kunne ikke besvares akkurat nå. Prøv igjen."
+    }
+};
+
+function fallbackText(language) {
+    return FALLBACK_TEXT[language] || FALLBACK_TEXT[DEFAULT_LANGUAGE];
+}
+
+function descriptionFallback(originalDescription, language) {
+    return `${fallbackText(language).description}\n\n${originalDescription}`;
+}
+
+// Replace the optional "language" in the body with a supported language code, or answer 400
+function requireLanguage(req, res, next) {
+    try {
+        req.body.language = resolveLanguage(req.body.language);
+        next();
+    } catch (error) {
+        res.status(error.status).json({ error: error.message });
+    }
+}
+
+// Only catalogue artefacts and the profile the session's quiz assigned are generated for. The artefact's original
+// description is taken from the catalogue in the request's language, not from the request.
+async function requireKnownArtefact(req, res, next) {
+    const { artefact, profile, language } = req.body;
+    if (!artefact || !profile) return next(); // The route answers missing fields itself
+
+    if (!VISITOR_PROFILES.includes(profile)) {
+        res.locals.rejection = "unknown_profile";
+        return res.status(400).json({ error: `Unknown profile "${profile}". Expected one of: ${VISITOR_PROFILES.join(", ")}` });
+    }
+    if (profile !== req.thread.quiz?.profile) {
+        res.locals.rejection = "profile_mismatch";
+        return res.status(403).json({ error: "The profile doesn't match the one assigned by the participant's quiz." });
+    }
+
+    try {
+        const match = (await storage.artefacts.list()).find(entry => entry.title === artefact || entry.artefactId === artefact);
+        if (!match) {
+            res.locals.rejection = "unknown_artefact";
+            return res.status(400).json({ error: `Unknown artefact "${artefact}".` });
+        }
+
+        req.body.artefact = match.title;
+        req.body.originalDescription = originalDescriptionFor(match, language);
+        next();
+    } catch (error) {
+        console.error("❌ Error looking up artefact:", error);
+        res.status(500).json({ error: "Failed to look up the artefact." });
+    }
+}
+
+// In blended quiz mode the adaptation is written for the participant's two strongest profiles (see lib/quiz.js).
+// The second profile is taken from the quiz result stored on the thread, never from the request.
+function applyBlendedProfile(req, res, next) {
+    const profiles = req.thread.quiz?.profiles || [];
+    req.body.secondaryProfile = profiles.length > 1 && profiles[0] === req.body.profile ? profiles[1] : undefined;
+    next();
+}
+
+// The assignment entry of the artefact on the participant's thread, if the artefact was assigned
+function assignedArtefact(thread, artefact) {
+    return thread.assignment?.artefacts.find(entry => entry.title === artefact);
+}
+
+// Routes that generate text for the visitor. Each has a JSON variant and a /stream variant
+// that pushes tokens over Server-Sent Events ("token", then "done" or "error"; "reset" discards
+// the tokens so far when an adaptation is regenerated after failing the fidelity check).
+// All of them need a participant session and count towards the generation rate limits.
+// Prompts use the template versions of the participant's condition for the artefact, or promptVersions
+// (the study's "prompts" in config/study.json) when the artefact isn't assigned.
+export function createGenerationRouter({ llmProvider, generationMode, promptVersions = {}, fidelityConfig = validateFidelityConfig(), accessMonitor = createAccessMonitor(), limits = loadAccessLimits() }) {
+    const router = express.Router();
+
+    const guards = [
+        ...createRouteGuards({
+            kind: "generation",
+            accessMonitor,
+            perIp: limits.generationPerIp,
+            perParticipant: limits.generationPerParticipant,
+            windowMs: limits.windowMs
+        }),
+        limitLength({ artefact: 200, profile: 100, originalDescription: limits.maxDescriptionChars, currentDescription: limits.maxDescriptionChars }),
+        requireLanguage,
+        requireKnownArtefact
+    ];
+    // In prewritten mode the participant screen shows the catalogue's variants, so a generated adaptation
+    // would not match the recorded generation mode
+    const requireGeneratedMode = (req, res, next) => {
+        if (generationMode !== "prewritten") return next();
+
+        res.locals.rejection = "prewritten_mode";
+        res.status(409).json({ error: "This study shows the pre-written descriptions; adaptations are not generated.", generationMode });
+    };
+    const descriptionGuards = [...guards, requireGeneratedMode, applyBlendedProfile];
+    const moreInfoGuards = [...guards, requireServerText("currentDescription")];
+    const questionGuards = [...guards, limitLength({ question: limits.maxQuestionChars }), applyBlendedProfile];
+
+    function promptVersionsFor(thread, artefact) {
+        const assigned = assignedArtefact(thread, artefact);
+        return resolvePromptVersions(assigned ? assigned.toObject().prompts : promptVersions);
+    }
+
+    // Resolve an adapted description according to the study's generation mode
+    async function adaptDescription({ artefact, originalDescription, profile, secondaryProfile, participantId, language }, streamOptions = {}) {
+        const participantThread = await findOrCreateParticipantThread(participantId);
+        const params = { artefact, profile, secondaryProfile, originalDescription, language, versions: promptVersionsFor(participantThread, artefact) };
+        const label = profileLabel(profile, secondaryProfile);
+
+        if (generationMode === "cached-first" || generationMode === "pregenerated-only") {
+            const cached = await findCachedAdaptation(params);
+
+            if (cached) {
+                console.log(`♻️ Using cached adaptation for "${artefact}" (${label})`);
+                const prompt = buildAdaptationPrompt(params);
+                const generation = { promptTemplate: prompt.templateId, promptVersion: prompt.version, model: cached.model, assistantId: cached.assistantId };
+
+                // Record the reused adaptation so the thread still shows what the participant saw
+                participantThread.messages.push(
+                    { role: "user", content: prompt.text, timestamp: new Date(), source: "cache", ...generation },
+                    { role: "assistant", content: cached.text, timestamp: new Date(), source: "cache", ...generation, fidelity: cached.fidelity }
+                );
+                await storage.threads.save(participantThread);
+
+                return { response: cached.text, source: "cache" };
+            }
+
+            if (generationMode === "pregenerated-only") {
+                const failure = new GenerationError("not_pregenerated", `No pre-generated adaptation for "${artefact}" (${label}, prompt version ${params.versions.adaptation}). Run "npm run pregenerate".`);
+                await recordGenerationFailure(participantThread, failure, { kind: "description", artefact, profile });
+                return { status: 404, response: descriptionFallback(originalDescription, language), source: "fallback", reason: failure.reason };
+            }
+        }
+
+        const thread = await getOrCreateThread(llmProvider, participantId);
+        const context = { kind: "description", ...params };
+
+        const { text, fidelity, accepted } = await generateFaithfulAdaptation(params, fidelityConfig, (prompt, validate, attempt) => {
+            // A rejected adaptation may already have been streamed, so tell the client to start over
+            if (attempt > 1) streamOptions.onReset?.();
+            return generateForThread(llmProvider, thread, prompt, context, { ...streamOptions, validate });
+        });
+
+        if (!accepted) {
+            const failure = new GenerationError("fidelity_rejected", `Adaptation introduced unsupported facts: ${fidelity.unsupported.map(fact => fact.value).join(", ")}`);
+            await recordGenerationFailure(thread, failure, context, llmProvider.name);
+            return { response: text, source: "original", reason: failure.reason };
+        }
+
+        if (generationMode === "cached-first") {
+            const { model, assistantId } = thread.messages[thread.messages.length - 1];
+            await storeAdaptation({ ...params, text, fidelity, provider: llmProvider.name, model, assistantId });
+        }
+
+        return { response: text, source: "live" };
+    }
+
+    async function fetchMoreInfo({ artefact, profile, participantId, currentDescription, language }, streamOptions) {
+        const thread = await getOrCreateThread(llmProvider, participantId);
+        const prompt = buildMoreInfoPrompt({ artefact, profile, currentDescription, language, versions: promptVersionsFor(thread, artefact) });
+
+        const responseContent = await generateForThread(llmProvider, thread, prompt, {
+            kind: "more-info",
+            artefact,
+            profile,
+            currentDescription,
+            language
+        }, streamOptions);
+
+        return { response: responseContent };
+    }
+
+    // Answer the visitor's own question in their existing thread, grounded in the catalogue description,
+    // and store the exchange in the thread's artefactQuestions
+    async function answerQuestion({ artefact, profile, secondaryProfile, originalDescription, question, participantId, language }, streamOptions) {
+        question = question.trim();
+
+        const thread = await getOrCreateThread(llmProvider, participantId);
+        const prompt = buildQuestionPrompt({ artefact, profile, secondaryProfile, originalDescription, question, language, versions: promptVersionsFor(thread, artefact) });
+        const answer = await generateForThread(llmProvider, thread, prompt, {
+            kind: "question",
+            artefact,
+            profile,
+            originalDescription,
+            question,
+            language
+        }, streamOptions);
+
+        const assigned = assignedArtefact(thread, artefact);
+        thread.artefactQuestions.push({
+            artefact,
+            descriptionType: assigned?.descriptionType,
+            condition: assigned?.condition,
+            profile,
+            question,
+            answer,
+            language,
+            timestamp: new Date()
+        });
+        await storage.threads.save(thread);
+
+        return { response: answer };
+    }
+
+    function hasDescriptionFields({ artefact, originalDescription, profile, participantId }) {
+        return artefact && originalDescription && profile && participantId;
+    }
+
+    function hasMoreInfoFields({ artefact, profile, participantId, currentDescription }) {
+        return artefact && profile && participantId && currentDescription;
+    }
+
+    function hasQuestionFields({ artefact, profile, participantId, question }) {
+        return artefact && profile && participantId && question?.trim();
+    }
+
+    // The failure reason (see lib/llm/errors.js) is included in fallback responses
+    function failureReason(error) {
+        return error instanceof GenerationError ? error.reason : "unknown";
+    }
+
+    // Run a generator over SSE, stopping it if the visitor disconnects
+    async function streamResponse(req, res, generate, fallback, label) {
+        const stream = openEventStream(req, res);
+
+        try {
+            const result = await generate({
+                onToken: text => stream.send("token", { text }),
+                onReset: () => stream.send("reset", {}),
+                signal: stream.signal
+            });
+            stream.send(result.source === "fallback" ? "error" : "done", { ...result, generationMode });
+        } catch (error) {
+            if (stream.signal.aborted) {
+                console.log(`⛔ Visitor cancelled the ${label} stream.`);
+            } else {
+                console.error(`❌ Error streaming ${label}:`, error);
+                stream.send("error", { response: fallback, generationMode, source: "fallback", reason: failureReason(error) });
+            }
+        }
+
+        stream.close();
+    }
+
+    // API route for fetching adapted descriptions with failure detection
+    router.post("/fetch-description", descriptionGuards, async (req, res) => {
+        console.log("🛠️ Received fetch-description request:", req.body);
+
+        if (!hasDescriptionFields(req.body)) {
+            console.error("❌ Missing required fields");
+            return res.status(400).json({ error: "Missing artefact, profile, or participantId" });
+        }
+
+        try {
+            const { status = 200, ...result } = await adaptDescription(req.body, { signal: signalOnDisconnect(res) });
+            res.status(status).json({ ...result, generationMode });
+
+        } catch (error) {
+            console.error("❌ Error with Assistant:", error);
+            res.status(500).json({ response: descriptionFallback(req.body.originalDescription, req.body.language), generationMode, source: "fallback", reason: failureReason(error) });
+        }
+    });
+
+    router.post("/fetch-description/stream", descriptionGuards, async (req, res) => {
+        console.log("🛠️ Received streaming fetch-description request:", req.body);
+
+        if (!hasDescriptionFields(req.body)) {
+            console.error("❌ Missing required fields");
+            return res.status(400).json({ error: "Missing artefact, profile, or participantId" });
+        }
+
+        await streamResponse(req, res, options => adaptDescription(req.body, options), descriptionFallback(req.body.originalDescription, req.body.language), "description");
+    });
+
+    // API route for fetching additional artefact details (for "Tell Me More" button)
+    router.post("/fetch-more-info", moreInfoGuards, async (req, res) => {
+        console.log("🛠️ Received fetch-more-info request:", req.body);
+
+        if (!hasMoreInfoFields(req.body)) {
+            console.error("❌ Missing required fields: artefact, profile, participantId, or currentDescription");
+            return res.status(400).json({ error: "Missing artefact, profile, participantId, or currentDescription" });
+        }
+
+        try {
+            res.json(await fetchMoreInfo(req.body, { signal: signalOnDisconnect(res) }));
+
+        } catch (error) {
+            console.error("❌ Error fetching additional info:", error);
+            res.status(500).json({ response: fallbackText(req.body.language).moreInfo, reason: failureReason(error) });
+        }
+    });
+
+    router.post("/fetch-more-info/stream", moreInfoGuards, async (req, res) => {
+        console.log("🛠️ Received streaming fetch-more-info request:", req.body);
+
+        if (!hasMoreInfoFields(req.body)) {
+            console.error("❌ Missing required fields: artefact, profile, participantId, or currentDescription");
+            return res.status(400).json({ error: "Missing artefact, profile, participantId, or currentDescription" });
+        }
+
+        await streamResponse(req, res, options => fetchMoreInfo(req.body, options), fallbackText(req.body.language).moreInfo, "more-info");
+    });
+
+    // API route for the visitor's own questions about the artefact (chat panel on the artefact page)
+    router.post("/ask-question", questionGuards, async (req, res) => {
+        console.log("🛠️ Received ask-question request:", req.body);
+
+        if (!hasQuestionFields(req.body)) {
+            console.error("❌ Missing required fields: artefact, profile, participantId, or question");
+            return res.status(400).json({ error: "Missing artefact, profile, participantId, or question" });
+        }
+
+        try {
+            res.json(await answerQuestion(req.body, { signal: signalOnDisconnect(res) }));
+
+        } catch (error) {
+            console.error("❌ Error answering question:", error);
+            res.status(500).json({ response: fallbackText(req.body.language).question, reason: failureReason(error) });
+        }
+    });
+
+    router.post("/ask-question/stream", questionGuards, async (req, res) => {
+        console.log("🛠️ Received streaming ask-question request:", req.body);
+
+        if (!hasQuestionFields(req.body)) {
+            console.error("❌ Missing required fields: artefact, profile, participantId, or question");
+            return res.status(400).json({ error: "Missing artefact, profile, participantId, or question" });
+        }
+
+        await streamResponse(req, res, options => answerQuestion(req.body, options), fallbackText(req.body.language).question, "question");
+    });
+
+    return router;
+}
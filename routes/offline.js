@@ -0,0 +1,41 @@
+import express from "express";
+import storage from "../lib/storage/index.js";
+import { prewrittenTexts } from "../lib/serverTexts.js";
+import { LANGUAGE_CODES, ttsVoiceFor } from "../lib/languages.js";
+
+// What a kiosk downloads ahead of the visit so it keeps working when the Wi-Fi drops (see public/sw.js):
+// the data the participant screen loads, the artefact images, and the narration of every pre-written
+// description that has already been synthesized (e.g. by `npm run pregenerate -- --narration`) in the language's
+// voice, with its sentence timings.
+export function createOfflineRouter({ ttsCache }) {
+    const router = express.Router();
+
+    router.get("/manifest", async (req, res) => {
+        try {
+            const artefacts = await storage.artefacts.list();
+            const narration = [];
+
+            for (const artefact of artefacts) {
+                for (const language of LANGUAGE_CODES) {
+                    for (const text of new Set(prewrittenTexts(artefact, language))) {
+                        const key = ttsCache.keyFor(text, { language });
+                        if (await ttsCache.exists(key)) {
+                            narration.push({ language, voice: ttsVoiceFor(language), text, url: `/tts/${key}.mp3`, timings: `/tts/${key}.json` });
+                        }
+                    }
+                }
+            }
+
+            res.json({
+                data: ["/api/artefacts", "/api/quiz", "/api/questionnaire"],
+                images: artefacts.filter(artefact => artefact.image).map(artefact => `/${artefact.image}`),
+                narration
+            });
+        } catch (error) {
+            console.error("❌ Error building the offline manifest:", error);
+            res.status(500).json({ error: "Failed to build the offline manifest." });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,68 @@
+import express from "express";
+import storage from "../lib/storage/index.js";
+import { resolveLanguage } from "../lib/languages.js";
+import { validateResponses } from "../lib/questionnaire.js";
+import { requireParticipantSession } from "../lib/sessions.js";
+
+// Post-visit questionnaire: the definition for the participant screen and the answers, stored on the thread
+export function createQuestionnaireRouter({ questionnaire }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!questionnaire) {
+            return res.status(404).json({ error: "No questionnaire is configured for this study." });
+        }
+        next();
+    });
+
+    router.get("/", (req, res) => {
+        res.json(questionnaire);
+    });
+
+    router.post("/responses", requireParticipantSession, async (req, res) => {
+        const { answers } = req.body;
+        const thread = req.thread;
+        const { participantId } = thread;
+
+        let language;
+        try {
+            language = resolveLanguage(req.body.language);
+        } catch (error) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        try {
+            if (!thread.assignment) {
+                return res.status(404).json({ error: "No study assignment found for this participant." });
+            }
+            if (thread.questionnaire?.submittedAt) {
+                return res.status(409).json({ error: "The questionnaire has already been submitted." });
+            }
+
+            let validAnswers;
+            try {
+                validAnswers = validateResponses(questionnaire, answers, {
+                    artefactIds: thread.assignment.artefacts.map(artefact => artefact.artefactId)
+                });
+            } catch (error) {
+                return res.status(error.status || 400).json({ error: error.message });
+            }
+
+            thread.questionnaire = {
+                questionnaireId: questionnaire.id,
+                language,
+                answers: validAnswers,
+                submittedAt: new Date()
+            };
+            await storage.threads.save(thread);
+
+            console.log(`📝 Saved ${validAnswers.length} questionnaire answers for Participant: ${participantId}`);
+            res.status(201).json({ message: "Questionnaire saved.", submittedAt: thread.questionnaire.submittedAt });
+        } catch (error) {
+            console.error("❌ Error saving questionnaire:", error);
+            res.status(500).json({ error: "Failed to save questionnaire answers." });
+        }
+    });
+
+    return router;
+}
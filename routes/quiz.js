@@ -0,0 +1,14 @@
+import express from "express";
+import { publicQuiz } from "../lib/quiz.js";
+
+// The profiling quiz for the participant screen. Answers are scored by the sessions router (routes/sessions.js).
+export function createQuizRouter({ quiz }) {
+    const router = express.Router();
+    const definition = publicQuiz(quiz);
+
+    router.get("/", (req, res) => {
+        res.json(definition);
+    });
+
+    return router;
+}
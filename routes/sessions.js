@@ -0,0 +1,144 @@
+import express from "express";
+import { assignProfiles, parseQuizAnswers, scoreQuiz } from "../lib/quiz.js";
+import { resolveLanguage } from "../lib/languages.js";
+import { createSessionToken, registerParticipant, requireSession } from "../lib/sessions.js";
+import storage from "../lib/storage/index.js";
+import { createAccessMonitor, createRateLimiter, loadAccessLimits } from "../lib/accessControl.js";
+
+// What the participant screen needs to pick up where the visitor left off
+function sessionState(thread) {
+    return {
+        participantId: thread.participantId,
+        language: thread.language,
+        quiz: {
+            answers: thread.quiz?.answers || [],
+            deliveryPreference: thread.quiz?.deliveryPreference,
+            profile: thread.quiz?.profile,
+            profiles: thread.quiz?.profiles || [],
+            completed: Boolean(thread.quiz?.completedAt)
+        },
+        questionnaireCompleted: Boolean(thread.questionnaire?.submittedAt)
+    };
+}
+
+// Participant sessions: the server registers or allocates the participant ID and issues a token
+// that lets the participant screen resume after a reload
+export function createSessionRouter({ quiz, accessMonitor = createAccessMonitor(), limits = loadAccessLimits() }) {
+    const router = express.Router();
+
+    // Sessions unlock the OpenAI-backed routes, so starting them is limited per IP
+    const sessionLimiter = createRateLimiter({ name: "ip", max: limits.sessionsPerIp, windowMs: limits.windowMs, keyFor: req => req.ip });
+
+    // Start a session for { participantId } or, without one, for the next free ID
+    router.post("/", accessMonitor.track("sessions"), sessionLimiter, async (req, res) => {
+        let language;
+        try {
+            language = resolveLanguage(req.body.language);
+        } catch (error) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        try {
+            const { token, tokenHash } = createSessionToken();
+            const now = new Date();
+            const thread = await registerParticipant(req.body.participantId, { tokenHash, createdAt: now, lastSeenAt: now });
+
+            thread.language = language;
+            await storage.threads.save(thread);
+
+            console.log(`🪪 Started session for Participant: ${thread.participantId}`);
+            res.status(201).json({ token, ...sessionState(thread) });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error("❌ Error starting session:", error);
+            res.status(500).json({ error: "Failed to start the session." });
+        }
+    });
+
+    router.get("/current", requireSession, async (req, res) => {
+        try {
+            await storage.threads.save(req.thread); // Records lastSeenAt
+            res.json(sessionState(req.thread));
+        } catch (error) {
+            console.error("❌ Error resuming session:", error);
+            res.status(500).json({ error: "Failed to resume the session." });
+        }
+    });
+
+    // Save the quiz after every answer. With { finish: true } the server scores the answers and assigns the
+    // profile; on a tie that needs the visitor's answer, quiz.pendingTieBreak lists the tie-break options to show,
+    // and the request is repeated with the picks in "tieBreakAnswers".
+    router.put("/current/quiz", requireSession, async (req, res) => {
+        const { deliveryPreference, finish, tieBreakAnswers = [] } = req.body;
+        let answers;
+        let scores;
+        let result;
+
+        try {
+            answers = parseQuizAnswers(quiz, req.body.answers);
+
+            if (finish) {
+                if (answers.length < quiz.questions.length) {
+                    return res.status(400).json({ error: "Answer every question before finishing the quiz." });
+                }
+                if (!Array.isArray(tieBreakAnswers) || !tieBreakAnswers.every(Number.isInteger)) {
+                    return res.status(400).json({ error: "\"tieBreakAnswers\" must be a list of option indexes." });
+                }
+                scores = scoreQuiz(quiz, answers);
+                result = assignProfiles(quiz, scores, tieBreakAnswers);
+            }
+        } catch (error) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        try {
+            const thread = req.thread;
+            thread.quiz = {
+                answers,
+                deliveryPreference: deliveryPreference === "Auditory" ? "Auditory" : "Text-Based"
+            };
+
+            if (result?.profiles) {
+                Object.assign(thread.quiz, {
+                    quizId: quiz.id,
+                    mode: quiz.mode,
+                    scores: Object.entries(scores).map(([profile, score]) => ({ profile, score })),
+                    tieBreaks: result.tieBreaks,
+                    profiles: result.profiles,
+                    profile: result.profiles[0],
+                    completedAt: new Date()
+                });
+            }
+            await storage.threads.save(thread);
+
+            if (result?.profiles) {
+                console.log(`🧭 Assigned profile ${result.profiles.join(" + ")} to Participant: ${thread.participantId}${result.tieBreaks.length > 0 ? ` (tie settled by ${quiz.tieBreak.strategy})` : ""}`);
+            }
+
+            const state = sessionState(thread);
+            if (result?.pendingTieBreak) state.quiz.pendingTieBreak = result.pendingTieBreak;
+            res.json(state);
+        } catch (error) {
+            console.error("❌ Error saving quiz:", error);
+            res.status(500).json({ error: "Failed to save the quiz answers." });
+        }
+    });
+
+    // End the session so the device can be handed to the next participant
+    router.delete("/current", requireSession, async (req, res) => {
+        try {
+            req.thread.session.tokenHash = undefined;
+            await storage.threads.save(req.thread);
+
+            console.log(`👋 Ended session for Participant: ${req.thread.participantId}`);
+            res.status(204).end();
+        } catch (error) {
+            console.error("❌ Error ending session:", error);
+            res.status(500).json({ error: "Failed to end the session." });
+        }
+    });
+
+    return router;
+}
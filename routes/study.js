@@ -0,0 +1,60 @@
+import express from "express";
+import storage from "../lib/storage/index.js";
+import { resolveLanguage } from "../lib/languages.js";
+import { requireParticipantSession } from "../lib/sessions.js";
+
+// Counterbalancing rows are handed out in the order participants are assigned, never from the participant ID.
+// The counter starts after the participants assigned before it existed.
+function nextParticipantIndex() {
+    return storage.counters.next("participantIndex", () => storage.threads.count({ assignment: { $exists: true } }));
+}
+
+// Participant-facing study routes. The assignment is made and stored server-side so the client can't change it,
+// on the thread of the participant session.
+export function createStudyRouter({ studyDesign, generationMode }) {
+    const router = express.Router();
+
+    router.post("/assignment", requireParticipantSession, async (req, res) => {
+        const thread = req.thread;
+        const { participantId } = thread;
+
+        let language;
+        try {
+            language = resolveLanguage(req.body.language);
+        } catch (error) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        try {
+            const artefacts = await storage.artefacts.list();
+
+            // The participant screen may be restarted in another language; the latest choice counts
+            thread.language = language;
+
+            if (!thread.assignment) {
+                const participantIndex = await nextParticipantIndex();
+                thread.assignment = studyDesign.assign(participantIndex, artefacts);
+                console.log(`🎲 Assigned row ${thread.assignment.row} (${studyDesign.design}) to Participant: ${participantId}`);
+            } else {
+                // Artefacts added to the catalogue after the assignment get their condition by the same rule
+                const assignedIds = new Set(thread.assignment.artefacts.map(artefact => artefact.artefactId));
+                const missing = studyDesign.assign(thread.assignment.participantIndex, artefacts).artefacts
+                    .filter(artefact => !assignedIds.has(artefact.artefactId));
+
+                if (missing.length > 0) {
+                    thread.assignment.artefacts.push(...missing);
+                    console.log(`🎲 Extended assignment for Participant: ${participantId} with ${missing.length} new artefact(s)`);
+                }
+            }
+
+            await storage.threads.save(thread); // Also records the session's lastSeenAt
+
+            res.json({ assignment: thread.assignment, generationMode, questionnaireCompleted: Boolean(thread.questionnaire?.submittedAt) });
+        } catch (error) {
+            console.error("❌ Error assigning conditions:", error);
+            res.status(500).json({ error: "Failed to assign study conditions." });
+        }
+    });
+
+    return router;
+}
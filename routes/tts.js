@@ -0,0 +1,80 @@
+import express from "express";
+import { resolveVoice, TTS_KEY_PATTERN } from "../lib/tts.js";
+import { resolveLanguage } from "../lib/languages.js";
+import { createAccessMonitor, createRouteGuards, limitLength, loadAccessLimits, ttsCost } from "../lib/accessControl.js";
+import { requireServerText } from "../lib/serverTexts.js";
+
+// Audio files are content-addressed, so they never change once written
+const TTS_FILE_OPTIONS = { maxAge: "365d", immutable: true };
+
+// Narration: POST /fetch-tts synthesizes (or reuses) the audio for a text, GET /tts/<key>.mp3 and .json serve it.
+// Narration needs a participant session and only reads out texts the server produced or stored.
+// Its limits count sentences, since every sentence is synthesized with its own speech request.
+export function createTTSRouter({ ttsCache, accessMonitor = createAccessMonitor(), limits = loadAccessLimits() }) {
+    const router = express.Router();
+
+    const ttsGuards = [
+        ...createRouteGuards({
+            kind: "tts",
+            accessMonitor,
+            perIp: limits.ttsPerIp,
+            perParticipant: limits.ttsPerParticipant,
+            windowMs: limits.windowMs,
+            costFor: ttsCost
+        }),
+        limitLength({ text: limits.maxTTSChars }),
+        requireServerText("text")
+    ];
+
+    // API route for fetching TTS audio. The optional "voice" is one of TTS_VOICES in lib/tts.js.
+    router.post("/fetch-tts", ttsGuards, async (req, res) => {
+        const { text } = req.body;
+
+        if (!text) {
+            console.error("❌ Missing text input for TTS");
+            return res.status(400).json({ error: "Missing text input for TTS" });
+        }
+
+        let language;
+        let voice;
+        try {
+            language = resolveLanguage(req.body.language);
+            voice = resolveVoice(req.body.voice);
+        } catch (error) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        try {
+            const { key, filePath, characters, sentences, voice: usedVoice } = await ttsCache.getOrCreate(text, { language, voice });
+            res.locals.characters = characters; // Characters this request sent to OpenAI for synthesis
+
+            // Audio elements should load the returned URL with GET, which supports seeking through Range requests.
+            // sentences: [{ text, from, to, start, end }], offsets into the sent text and times in seconds
+            if (req.query.format === "url") {
+                return res.json({ url: `/tts/${key}.mp3`, key, voice: usedVoice, sentences });
+            }
+
+            res.sendFile(filePath, TTS_FILE_OPTIONS);
+        } catch (error) {
+            console.error("❌ Error fetching TTS:", error.message);
+            res.status(500).json({ error: "Failed to generate TTS audio. Please try again later." });
+        }
+    });
+
+    // Cached narration audio with ETag and HTTP Range (206 Partial Content) support, and its sentence timings as .json
+    router.get("/tts/:key.:extension(mp3|json)", (req, res) => {
+        const { key, extension } = req.params;
+
+        if (!TTS_KEY_PATTERN.test(key)) {
+            return res.status(404).json({ error: "Audio not found." });
+        }
+
+        res.sendFile(ttsCache.pathFor(key, extension), TTS_FILE_OPTIONS, error => {
+            if (error && !res.headersSent) {
+                res.status(error.status || 500).json({ error: error.status === 404 ? "Audio not found." : "Failed to send audio." });
+            }
+        });
+    });
+
+    return router;
+}
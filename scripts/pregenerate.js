@@ -0,0 +1,177 @@
+import "dotenv/config";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import storage, { openStorage } from "../lib/storage/index.js";
+import { createLLMProvider } from "../lib/llm/index.js";
+import { loadPromptTemplates, resolvePromptVersions } from "../lib/prompts.js";
+import { generateFaithfulAdaptation, validateFidelityConfig } from "../lib/fidelity.js";
+import { createStudyDesign, loadStudyConfig } from "../lib/studyDesign.js";
+import { findCachedAdaptation, storeAdaptation } from "../lib/adaptationCache.js";
+import { VISITOR_PROFILES, profileLabel } from "../lib/profiles.js";
+import { loadQuiz } from "../lib/quiz.js";
+import { createTTSCache } from "../lib/tts.js";
+import { LANGUAGE_CODES } from "../lib/languages.js";
+import { originalDescriptionFor } from "../lib/serverTexts.js";
+
+/* Pre-generates the adaptation for every artefact × profile × language combination ahead of an exhibition.
+   When the quiz is in blended mode, every ordered pair of profiles is pre-generated as well, and when study
+   conditions use different adaptation prompt versions (see config/prompts.json), each version is pre-generated.
+   Adaptations are checked with the study's fidelity settings; rejected ones are not cached.
+   With --narration it also synthesizes the narration for every pre-written and generated description.
+   Usage: npm run pregenerate -- [--force] [--narration] [--artefact <artefactId>] [--profile <profile>] [--language <code>] */
+
+const { values: options } = parseArgs({
+    options: {
+        force: { type: "boolean", default: false }, // Regenerate even if a cached adaptation exists
+        narration: { type: "boolean", default: false },
+        artefact: { type: "string" },
+        profile: { type: "string" },
+        language: { type: "string" }
+    }
+});
+
+if (options.profile && !VISITOR_PROFILES.includes(options.profile)) {
+    console.error(`❌ Unknown profile "${options.profile}". Expected one of: ${VISITOR_PROFILES.join(", ")}`);
+    process.exit(1);
+}
+
+if (options.language && !LANGUAGE_CODES.includes(options.language)) {
+    console.error(`❌ Unknown language "${options.language}". Expected one of: ${LANGUAGE_CODES.join(", ")}`);
+    process.exit(1);
+}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const llmProvider = createLLMProvider();
+loadPromptTemplates(process.env.PROMPTS_CONFIG || path.join(__dirname, "..", "config", "prompts.json"));
+const studyConfig = loadStudyConfig(process.env.STUDY_CONFIG || path.join(__dirname, "..", "config", "study.json"));
+const studyDesign = createStudyDesign(studyConfig);
+const fidelityConfig = validateFidelityConfig(studyConfig.fidelity);
+const quiz = loadQuiz(process.env.QUIZ_CONFIG || path.join(__dirname, "..", "config", "quiz.json"));
+
+await openStorage({
+    driver: process.env.STORAGE_DRIVER || "mongodb",
+    uri: process.env.MONGODB_URI,
+    dir: path.resolve(process.env.STORAGE_DIR || path.join(__dirname, "..", "data", "local"))
+});
+
+const artefacts = (await storage.artefacts.list()).filter(artefact => !options.artefact || artefact.artefactId === options.artefact);
+const profiles = options.profile ? [options.profile] : VISITOR_PROFILES;
+const languages = options.language ? [options.language] : LANGUAGE_CODES;
+
+// The audiences adaptations are made for: each profile alone, and in blended mode each profile with every other one
+const audiences = profiles.flatMap(profile => [
+    { profile },
+    ...(quiz.mode === "blended" ? VISITOR_PROFILES.filter(other => other !== profile).map(secondaryProfile => ({ profile, secondaryProfile })) : [])
+]);
+
+// The prompt versions of the study's conditions, one set per adaptation version since that is what adaptations are cached by
+const promptVersionSets = [...new Map(studyDesign.conditions.map(condition => {
+    const versions = resolvePromptVersions(condition.prompts);
+    return [versions.adaptation, versions];
+})).values()];
+
+console.log(`🧠 Pre-generating ${artefacts.length * audiences.length * languages.length * promptVersionSets.length} adaptations with the ${llmProvider.name} provider (prompt version ${promptVersionSets.map(versions => versions.adaptation).join(", ")})...`);
+
+let generated = 0;
+let skipped = 0;
+let failed = 0;
+
+for (const artefact of artefacts) {
+    for (const language of languages) {
+        for (const { profile, secondaryProfile } of audiences) {
+            for (const versions of promptVersionSets) {
+                const params = { artefact: artefact.title, profile, secondaryProfile, originalDescription: originalDescriptionFor(artefact, language), language, versions };
+                const label = `${artefact.title} (${profileLabel(profile, secondaryProfile)}, ${language}, prompt v${versions.adaptation})`;
+
+                if (!options.force && await findCachedAdaptation(params)) {
+                    console.log(`⏭️ Cached: ${label}`);
+                    skipped++;
+                    continue;
+                }
+
+                try {
+                    // A fresh thread per combination, so one adaptation can't influence the next
+                    const threadId = await llmProvider.createThread({ participantId: `pregenerate:${artefact.artefactId}:${profileLabel(profile, secondaryProfile)}:${language}:${versions.adaptation}` });
+                    let model = llmProvider.model;
+                    const { text, fidelity, accepted } = await generateFaithfulAdaptation(params, fidelityConfig, async (prompt, validate) => {
+                        const response = await llmProvider.generate({
+                            threadId,
+                            prompt: prompt.text,
+                            history: [],
+                            context: { kind: "description", ...params },
+                            onRun: run => { model = run.model || model; }
+                        });
+                        validate?.(response);
+                        return response;
+                    });
+
+                    if (!accepted) {
+                        console.error(`❌ Rejected: ${label} introduced unsupported facts: ${fidelity.unsupported.map(fact => fact.value).join(", ")}`);
+                        failed++;
+                        continue;
+                    }
+
+                    await storeAdaptation({ ...params, text, fidelity, provider: llmProvider.name, model, assistantId: llmProvider.assistantId, source: "pregenerated" });
+                    console.log(`✅ Generated: ${label}${fidelity?.verdict === "fail" ? " ⚠️ flagged by the fidelity check" : ""}`);
+                    generated++;
+                } catch (error) {
+                    console.error(`❌ Failed: ${label} [${error.reason || "unknown"}]:`, error.message);
+                    failed++;
+                }
+            }
+        }
+    }
+}
+
+console.log(`🏁 Adaptations done. Generated: ${generated}, already cached: ${skipped}, failed: ${failed}`);
+
+if (options.narration) {
+    const ttsCache = createTTSCache({
+        cacheDir: path.resolve(process.env.TTS_CACHE_DIR || path.join(__dirname, "..", "cache", "tts")),
+        model: process.env.TTS_MODEL || "tts-1"
+    });
+
+    // Narration cached before sentence timings is never served again, so it is replaced below
+    const removed = await ttsCache.removeUntimed();
+    if (removed > 0) console.log(`🧹 Removed ${removed} cached narrations without sentence timings`);
+
+    let narrated = 0;
+
+    for (const artefact of artefacts) {
+        for (const language of languages) {
+            // Untranslated texts are shown, and narrated, in English with the language's voice
+            const translation = artefact.translations?.[language] || {};
+            const texts = [
+                originalDescriptionFor(artefact, language),
+                translation.generalDescription || artefact.generalDescription
+            ];
+
+            for (const profile of profiles) {
+                texts.push(translation.profileDescriptions?.[profile] || artefact.profileDescriptions?.[profile]);
+            }
+
+            for (const { profile, secondaryProfile } of audiences) {
+                for (const versions of promptVersionSets) {
+                    const cached = await findCachedAdaptation({ artefact: artefact.title, profile, secondaryProfile, originalDescription: originalDescriptionFor(artefact, language), language, versions });
+                    texts.push(cached?.text);
+                }
+            }
+
+            for (const text of new Set(texts.filter(Boolean))) {
+                try {
+                    const { cached } = await ttsCache.getOrCreate(text, { language });
+                    if (!cached) narrated++;
+                } catch (error) {
+                    console.error(`❌ Narration failed for ${artefact.title} (${language}):`, error.message);
+                    failed++;
+                }
+            }
+        }
+    }
+
+    console.log(`🔊 Narration done. Synthesized: ${narrated}`);
+}
+
+await storage.close();
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,101 @@
+import "dotenv/config";
+import path from "path";
+import { parseArgs } from "util";
+import { createFileStorage } from "../lib/storage/fileStorage.js";
+import { createMongoStorage } from "../lib/storage/mongoStorage.js";
+import Thread from "../models/Thread.js";
+import Adaptation from "../models/Adaptation.js";
+
+/* Merges the data of an exhibition run with STORAGE_DRIVER=file into MongoDB (MONGODB_URI).
+   Threads synced before are replaced by the newer offline copy. A participant ID that MongoDB already
+   has for a different participant is a conflict: it is reported and the participant skipped, unless
+   --renumber is given, in which case the participant gets the next free ID and the offline ID is kept
+   in importedFrom. Interaction events are added once, so the sync can be run again after more visitors.
+   Cached adaptations are only added where MongoDB has none. The artefact catalogue is not synced.
+   Usage: npm run sync -- --from <STORAGE_DIR> [--renumber] [--dry-run] */
+
+const { values: options } = parseArgs({
+    options: {
+        from: { type: "string" },
+        renumber: { type: "boolean", default: false },
+        "dry-run": { type: "boolean", default: false } // Report what would be synced without writing
+    }
+});
+
+if (!options.from) {
+    console.error("❌ Missing --from <dir>, the STORAGE_DIR of the offline exhibition.");
+    process.exit(1);
+}
+
+const source = path.resolve(options.from);
+const dryRun = options["dry-run"];
+const offline = createFileStorage({ dir: source, compact: false }); // Leaves the files as they are
+const target = await createMongoStorage({ uri: process.env.MONGODB_URI });
+
+// Offline participant ID -> participant ID in MongoDB
+const participantIds = new Map();
+const conflicts = [];
+let replaced = 0;
+let inserted = 0;
+let renumbered = 0;
+
+const takenIds = new Set(await target.threads.listParticipantIds());
+let nextNumber = [...takenIds].filter(id => /^p\d+$/.test(id)).reduce((highest, id) => Math.max(highest, parseInt(id.slice(1), 10)), 0) + 1;
+
+const threads = offline.threads.stream({});
+for await (const thread of threads) {
+    const existing = await Thread.findById(thread._id, { participantId: 1 }).lean();
+
+    if (existing) {
+        // Synced before; the offline copy has everything since then
+        participantIds.set(thread.participantId, existing.participantId);
+        if (!dryRun) await Thread.replaceOne({ _id: thread._id }, { ...thread, participantId: existing.participantId, importedFrom: thread.importedFrom || existing.importedFrom });
+        replaced++;
+        continue;
+    }
+
+    let participantId = thread.participantId;
+    let importedFrom;
+
+    if (takenIds.has(participantId)) {
+        if (!options.renumber) {
+            conflicts.push(participantId);
+            console.error(`⚠️ Conflict: ${participantId} is already used by another participant in MongoDB, skipped`);
+            continue;
+        }
+
+        participantId = `p${nextNumber++}`;
+        importedFrom = { participantId: thread.participantId, source, importedAt: new Date() };
+        console.log(`🔢 Renumbered: ${thread.participantId} → ${participantId}`);
+        renumbered++;
+    }
+
+    participantIds.set(thread.participantId, participantId);
+    takenIds.add(participantId);
+    if (!dryRun) await Thread.create({ ...thread, participantId, importedFrom });
+    inserted++;
+}
+
+// Events of skipped participants stay offline until their conflict is resolved
+const events = [];
+for await (const event of offline.events.stream({})) {
+    if (!participantIds.has(event.participantId)) continue;
+    events.push({ ...event, participantId: participantIds.get(event.participantId) });
+}
+const addedEvents = dryRun ? 0 : await target.events.append(events);
+
+let addedAdaptations = 0;
+for (const adaptation of await offline.adaptations.list()) {
+    const key = { artefact: adaptation.artefact, profile: adaptation.profile, descriptionHash: adaptation.descriptionHash, promptVersion: adaptation.promptVersion };
+    if (await Adaptation.exists(key)) continue;
+
+    if (!dryRun) await Adaptation.create(adaptation);
+    addedAdaptations++;
+}
+
+console.log(`🏁 Sync from ${source}${dryRun ? " (dry run, nothing written)" : ""}. Threads inserted: ${inserted} (${renumbered} renumbered), replaced: ${replaced}, conflicts: ${conflicts.length}`);
+console.log(`📜 Events: ${events.length} offline, ${addedEvents} new. 🧠 Adaptations added: ${addedAdaptations}`);
+if (conflicts.length > 0) console.log("💡 Run again with --renumber to give the conflicting participants new IDs.");
+
+await target.close();
+process.exit(conflicts.length > 0 ? 1 : 0);
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { checkFidelity, validateFidelityConfig } from "../lib/fidelity.js";
+import { createMockProvider } from "../lib/llm/mockProvider.js";
+import { originalDescriptionFor } from "../lib/serverTexts.js";
+import { VISITOR_PROFILES } from "../lib/profiles.js";
+
+const readJSON = file => JSON.parse(fs.readFileSync(new URL(file, import.meta.url), "utf8"));
+const artefacts = readJSON("../data/artefacts.json");
+const { background } = validateFidelityConfig(readJSON("../config/study.json").fidelity);
+
+function assertFaithful(text, { originalDescription, artefact, profile, language }) {
+    const { verdict, unsupported } = checkFidelity(text, { originalDescription, artefact, profile, background, language });
+    assert.equal(verdict, "pass", `${artefact} (${profile}, ${language}): ${unsupported.map(fact => fact.value).join(", ")}`);
+}
+
+test("every pre-written description passes the fidelity check", () => {
+    for (const artefact of artefacts) {
+        for (const language of ["en", ...Object.keys(artefact.translations || {})]) {
+            const texts = language === "en" ? artefact : artefact.translations[language];
+            const originalDescription = originalDescriptionFor(artefact, language);
+            const title = texts.title || artefact.title;
+
+            if (texts.generalDescription) {
+                assertFaithful(texts.generalDescription, { originalDescription, artefact: title, profile: "general", language });
+            }
+            for (const [profile, text] of Object.entries(texts.profileDescriptions || {})) {
+                assertFaithful(text, { originalDescription, artefact: title, profile, language });
+            }
+        }
+    }
+});
+
+test("mock adaptations pass the fidelity check", async () => {
+    const provider = createMockProvider();
+
+    for (const artefact of artefacts) {
+        for (const profile of VISITOR_PROFILES) {
+            const context = { kind: "description", artefact: artefact.title, profile, originalDescription: artefact.originalDescription };
+            const text = await provider.generate({ prompt: "", context });
+            assertFaithful(text, { ...context, language: "en" });
+        }
+    }
+});
+
+test("names, places and numbers missing from the original still fail", () => {
+    const [artefact] = artefacts;
+    const { verdict, unsupported } = checkFidelity("Norway had few printed cookbooks. Christine Munch lived near Bergen with 7 cooks.", {
+        originalDescription: artefact.originalDescription,
+        artefact: artefact.title
+    });
+
+    assert.equal(verdict, "fail");
+    assert.deepEqual(unsupported.map(fact => fact.value), ["7", "bergen"]);
+});
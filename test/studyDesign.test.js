@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createStudyDesign } from "../lib/studyDesign.js";
+
+const catalogue = count => Array.from({ length: count }, (_, index) => ({ artefactId: `a${index}`, title: `Artefact ${index}` }));
+
+// How often each artefact gets each condition over the given participants
+function conditionCounts(studyDesign, artefacts, participants) {
+    const counts = artefacts.map(() => ({}));
+    for (let participantIndex = 0; participantIndex < participants; participantIndex++) {
+        studyDesign.assign(participantIndex, artefacts).artefacts.forEach(({ condition }, index) => {
+            counts[index][condition] = (counts[index][condition] || 0) + 1;
+        });
+    }
+    return counts;
+}
+
+for (const design of ["latin-square", "williams", "randomized-block"]) {
+    test(`${design}: more artefacts than conditions are balanced across participants`, () => {
+        const studyDesign = createStudyDesign({ design, seed: "test" });
+        const artefacts = catalogue(7);
+        const participants = studyDesign.rows.length * 4;
+
+        for (const counts of conditionCounts(studyDesign, artefacts, participants)) {
+            assert.deepEqual(counts, { Adapted: participants / 3, General: participants / 3, Original: participants / 3 });
+        }
+
+        // Each participant sees every condition in every full block, so the counts differ by at most one
+        for (let participantIndex = 0; participantIndex < participants; participantIndex++) {
+            const perCondition = {};
+            for (const { condition } of studyDesign.assign(participantIndex, artefacts).artefacts) {
+                perCondition[condition] = (perCondition[condition] || 0) + 1;
+            }
+            const values = Object.values(perCondition);
+            assert.equal(values.length, 3);
+            assert.ok(Math.max(...values) - Math.min(...values) <= 1);
+        }
+    });
+}
+
+test("the catalogue warning only appears when the artefacts don't divide into blocks", () => {
+    const studyDesign = createStudyDesign();
+
+    assert.equal(studyDesign.catalogueWarning(catalogue(3)), null);
+    assert.equal(studyDesign.catalogueWarning(catalogue(6)), null);
+    assert.match(studyDesign.catalogueWarning(catalogue(4)), /not a multiple of the 3 conditions/);
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import storage, { openStorage } from "../lib/storage/index.js";
+import { createSessionToken, registerParticipant } from "../lib/sessions.js";
+import { createMockProvider } from "../lib/llm/mockProvider.js";
+import { loadPromptTemplates } from "../lib/prompts.js";
+import { createTTSCache } from "../lib/tts.js";
+import { createGenerationRouter } from "../routes/generation.js";
+import { createTTSRouter } from "../routes/tts.js";
+
+// One MPEG-1 Layer III frame (128 kbit/s, 44.1 kHz) in place of OpenAI's audio
+const MP3_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(413)]);
+
+test("the original shown after a failed adaptation can be narrated", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "tts-test-"));
+    loadPromptTemplates(new URL("../config/prompts.json", import.meta.url).pathname);
+    await openStorage({ driver: "file", dir });
+    await storage.artefacts.seed(new URL("../data/artefacts.json", import.meta.url).pathname);
+
+    const { token, tokenHash } = createSessionToken();
+    const thread = await registerParticipant(undefined, { tokenHash, createdAt: new Date(), lastSeenAt: new Date() });
+    thread.quiz = { profile: "Explorer" };
+    await storage.threads.save(thread);
+
+    // Nothing is pre-generated, so the description request falls back to the original
+    const app = express();
+    app.use(express.json());
+    app.use(createGenerationRouter({ llmProvider: createMockProvider(), generationMode: "pregenerated-only" }));
+    app.use(createTTSRouter({ ttsCache: createTTSCache({ cacheDir: path.join(dir, "tts"), synthesize: async () => MP3_FRAME }) }));
+
+    const server = app.listen(0);
+    const post = (route, body) => fetch(`http://localhost:${server.address().port}${route}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Authorization": `Bearer ${token}` },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        const [artefact] = await storage.artefacts.list();
+        const description = await post("/fetch-description", { artefact: artefact.title, profile: "Explorer", participantId: thread.participantId, language: "en" });
+        const fallback = await description.json();
+        assert.equal(description.status, 404);
+        assert.equal(fallback.source, "fallback");
+
+        // The participant screen shows the failure as a separate notice and the original as the description
+        const shownOriginal = artefact.originalDescription.replace(/<br\s*\/?>/gi, "\n");
+        const narration = await post("/fetch-tts?format=url", { text: shownOriginal, language: "en" });
+        assert.equal(narration.status, 200);
+        assert.ok((await narration.json()).sentences.length > 0);
+
+        // The notice isn't a text the server knows, which is why it is kept out of the description
+        const prefixed = await post("/fetch-tts?format=url", { text: fallback.response, language: "en" });
+        assert.equal(prefixed.status, 403);
+    } finally {
+        server.close();
+        await storage.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});